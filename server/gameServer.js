@@ -0,0 +1,465 @@
+import { WebSocketServer, WebSocket } from 'ws';
+import { v4 as uuidv4 } from 'uuid';
+import { generateSeed } from '../src/utils/random.js';
+import { validateRun } from './runValidator.js';
+
+const MAX_CHAT_LENGTH = 100;
+const MAX_NAME_LENGTH = 16;
+const HEARTBEAT_INTERVAL = 30000; // Drop sockets that stop answering pings
+const DEFAULT_REGEN_INTERVAL = 5 * 60 * 1000; // Matches the client's old local timer
+const RESUME_GRACE_PERIOD = 60000; // How long a dropped client can resume its id
+const MAX_RUN_ID_LENGTH = 32;
+const MAX_RUN_SAMPLES = 20000; // Over half an hour at the client's 10 Hz
+const MAX_RUN_EVENTS = 200;
+const MAX_OPEN_RUNS = 8; // Runs per client awaiting a score: the live attempt plus resent offline ones
+const SEED_SUBMIT_WINDOW = 60 * 60 * 1000; // Runs on a retired seed are still taken this long (sent after a drop)
+const MAX_REMEMBERED_RUNS = 10000; // Verdicts kept so a resent run isn't scored twice
+
+/**
+ * Reference multiplayer server speaking the same protocol as src/core/network.js.
+ *
+ * Server -> client: assignId, levelSeed, regenerate, worldState, playerJoined, playerLeft,
+ *                   playerUpdate, chatMessage, scoreResult
+ * Client -> server: playerStateUpdate, chatMessage, runStart, runTelemetry, submitScore
+ *
+ * The server owns the level seed and the regeneration schedule so every client builds
+ * the same layout and swaps to the next one at the same moment.
+ *
+ * Scores are submitted here rather than to the leaderboard directly. Each attempt is
+ * announced with runStart, streamed as runTelemetry (position samples, pickups, damage) and
+ * checked by validateRun() when its score arrives; accepted scores go to `onScoreAccepted`.
+ * Clients resend runs they finished offline (or got no answer for) on reconnect, so runs on
+ * recently retired seeds are accepted and a run that was already scored is answered again.
+ * A run's time can't exceed what the server saw since its runStart (or since the session
+ * connected, for runs announced late), so runs played entirely offline don't pass.
+ *
+ * assignId carries a resume token. A client that reconnects with `?resume=<token>`
+ * within the grace period gets its old id, name and state back.
+ */
+export class GameServer {
+  /**
+   * @param {Object} options
+   * @param {number} [options.port] - Port to listen on (ignored if `server` is given)
+   * @param {import('http').Server} [options.server] - Existing HTTP server to attach to
+   * @param {number} [options.regenInterval] - Milliseconds between level regenerations
+   * @param {string} [options.seed] - Initial level seed (random if omitted)
+   * @param {Function} [options.onScoreAccepted] - Called with a leaderboard entry for each
+   *   validated score; may return the entry's leaderboard rank
+   */
+  constructor({ port = 8080, server = null, regenInterval = DEFAULT_REGEN_INTERVAL, seed = null, onScoreAccepted = null } = {}) {
+    this.port = port;
+    this.httpServer = server;
+    this.wss = null;
+    this.clients = new Map(); // id -> { id, ws, name, state, runs, isAlive, resumeToken, connectedAt }
+    this.sessions = new Map(); // resumeToken -> { id, name, state, runs, connectedAt, expiresAt } for dropped clients
+    this.onScoreAccepted = onScoreAccepted;
+    this.heartbeatTimer = null;
+
+    // Shared level state
+    this.levelSeed = seed || generateSeed();
+    this.recentSeeds = new Map([[this.levelSeed, null]]); // seed -> time it was retired (null = current)
+    this.verdicts = new Map(); // runId -> { accepted, reason } for runs already judged
+    this.regenInterval = regenInterval;
+    this.nextRegenAt = null;
+    this.regenTimer = null;
+
+    this.handleConnection = this.handleConnection.bind(this);
+  }
+
+  /**
+   * Start accepting connections
+   * @returns {Promise<void>} Resolves once the server is listening
+   */
+  start() {
+    return new Promise((resolve) => {
+      if (this.httpServer) {
+        this.wss = new WebSocketServer({ server: this.httpServer });
+        resolve();
+      } else {
+        this.wss = new WebSocketServer({ port: this.port }, resolve);
+      }
+
+      this.wss.on('connection', this.handleConnection);
+      this.heartbeatTimer = setInterval(() => this.checkHeartbeats(), HEARTBEAT_INTERVAL);
+      this.scheduleRegeneration();
+    });
+  }
+
+  /**
+   * Close every connection and stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    clearTimeout(this.regenTimer);
+    this.regenTimer = null;
+
+    return new Promise((resolve) => {
+      if (!this.wss) {
+        resolve();
+        return;
+      }
+      this.clients.forEach(client => client.ws.terminate());
+      this.clients.clear();
+      this.wss.close(() => resolve());
+      this.wss = null;
+    });
+  }
+
+  handleConnection(ws, request) {
+    const session = this.takeSession(getResumeToken(request));
+    const client = {
+      id: session ? session.id : uuidv4(),
+      ws,
+      name: session ? session.name : null,
+      state: session ? session.state : {},
+      runs: session ? session.runs : new Map(), // runId -> telemetry of each attempt not scored yet
+      isAlive: true,
+      resumeToken: session ? session.token : uuidv4(),
+      connectedAt: session ? session.connectedAt : Date.now() // A resumed session keeps its first connection's time
+    };
+
+    // Tell the newcomer who they are, which layout to build and who is already here
+    this.sendTo(client, 'assignId', { id: client.id, resumeToken: client.resumeToken, resumed: !!session });
+    this.sendTo(client, 'levelSeed', this.describeLevel());
+    this.sendTo(client, 'worldState', { players: this.getPlayerList() });
+
+    this.clients.set(client.id, client);
+    this.broadcast('playerJoined', this.describePlayer(client), client.id);
+    console.log(`Player ${session ? 'resumed' : 'connected'}: ${client.id} (${this.clients.size} online)`);
+
+    ws.on('pong', () => {
+      client.isAlive = true;
+    });
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        console.warn(`Ignoring malformed message from ${client.id}`);
+        return;
+      }
+      this.handleMessage(client, message);
+    });
+
+    ws.on('close', () => this.handleDisconnect(client));
+    ws.on('error', (error) => {
+      console.error(`Socket error for ${client.id}:`, error.message);
+    });
+  }
+
+  handleMessage(client, message) {
+    if (!message || typeof message.type !== 'string') {
+      return;
+    }
+
+    switch (message.type) {
+      case 'playerStateUpdate':
+        this.handlePlayerStateUpdate(client, message.payload);
+        break;
+      case 'chatMessage':
+        this.handleChatMessage(client, message.payload);
+        break;
+      case 'runStart':
+        this.handleRunStart(client, message.payload);
+        break;
+      case 'runTelemetry':
+        this.handleRunTelemetry(client, message.payload);
+        break;
+      case 'submitScore':
+        this.handleSubmitScore(client, message.payload);
+        break;
+      default:
+        console.log(`Unhandled message type from ${client.id}: ${message.type}`);
+    }
+  }
+
+  handlePlayerStateUpdate(client, payload) {
+    const state = sanitizeState(payload);
+    if (!state) return;
+
+    if (state.name) {
+      client.name = state.name;
+    }
+    client.state = state;
+
+    // Timestamp so clients can buffer and interpolate between updates
+    this.broadcast('playerUpdate', { id: client.id, state, serverTime: Date.now() }, client.id);
+  }
+
+  handleChatMessage(client, payload) {
+    if (!payload || typeof payload.text !== 'string') return;
+
+    const text = stripMarkup(payload.text).trim().substring(0, MAX_CHAT_LENGTH);
+    if (text.length === 0) return;
+
+    // Sender already displays their own message locally
+    this.broadcast('chatMessage', { senderId: client.id, text }, client.id);
+  }
+
+  handleRunStart(client, payload) {
+    if (!payload || !isRunId(payload.runId)) return;
+    // Announced again after a reconnect; keep what we already have
+    if (client.runs.has(payload.runId)) return;
+
+    // Only layouts this server handed out count, so players can't shop for an easy seed
+    if (!this.recentSeeds.has(payload.seed)) return;
+
+    // Runs announced late (started while disconnected) are backdated by their clock, but never to
+    // before this session connected: the client's clock alone can't vouch for time the server didn't see
+    const claimed = Number.isFinite(payload.time) ? Math.max(0, payload.time) : 0;
+    const elapsed = Math.min(claimed, (Date.now() - client.connectedAt) / 1000);
+    client.runs.set(payload.runId, {
+      id: payload.runId,
+      seed: payload.seed,
+      startedAt: Date.now() - elapsed * 1000,
+      samples: [],
+      events: []
+    });
+    if (client.runs.size > MAX_OPEN_RUNS) {
+      client.runs.delete(client.runs.keys().next().value); // Oldest first
+    }
+  }
+
+  handleRunTelemetry(client, payload) {
+    const run = payload ? client.runs.get(payload.runId) : null;
+    if (!run) return;
+
+    if (Array.isArray(payload.samples)) {
+      for (const sample of payload.samples) {
+        const last = run.samples[run.samples.length - 1];
+        if (!isNumberArray(sample, 4) || (last && sample[0] <= last[0])) continue; // Also skips resent samples
+        run.samples.push(sample);
+      }
+    }
+    if (Array.isArray(payload.events)) {
+      const known = new Set(run.events.map(eventKey));
+      payload.events.map(sanitizeRunEvent).filter(Boolean).forEach(event => {
+        if (known.has(eventKey(event))) return; // Resent batch
+        known.add(eventKey(event));
+        run.events.push(event);
+      });
+    }
+
+    if (run.samples.length > MAX_RUN_SAMPLES || run.events.length > MAX_RUN_EVENTS) {
+      console.warn(`Dropping oversized run telemetry from ${client.id}`);
+      client.runs.delete(run.id);
+    }
+  }
+
+  handleSubmitScore(client, payload) {
+    if (!payload || typeof payload !== 'object' || !isRunId(payload.runId)) return;
+    const runId = payload.runId;
+
+    // One score per run; a resend means our answer was lost, so repeat it without scoring again
+    if (this.verdicts.has(runId)) {
+      this.sendTo(client, 'scoreResult', { runId, ...this.verdicts.get(runId), rank: null });
+      return;
+    }
+    const run = client.runs.get(runId) || null;
+    client.runs.delete(runId);
+
+    const result = this.recentSeeds.has(payload.seed)
+      ? validateRun(run, payload)
+      : { valid: false, reason: 'layout was not handed out by this server', score: null };
+    this.rememberVerdict(runId, { accepted: result.valid, reason: result.reason });
+    if (!result.valid) {
+      console.warn(`Rejected score from ${client.id}: ${result.reason}`);
+      this.sendTo(client, 'scoreResult', { runId, accepted: false, reason: result.reason });
+      return;
+    }
+
+    const name = typeof payload.name === 'string' ? stripMarkup(payload.name).trim().substring(0, MAX_NAME_LENGTH) : '';
+    const entry = {
+      player_name: name || client.name || 'Anonymous',
+      score: result.score.total, // The server's own total; the claim's tolerance only decides acceptance
+      game_time: payload.time,
+      artifacts_collected: run.events.filter(event => event.type === 'pickup' && event.item === 'artifact').length,
+      seed: run.seed,
+      created_at: new Date().toISOString()
+    };
+    const rank = this.onScoreAccepted ? this.onScoreAccepted(entry) : null;
+    this.sendTo(client, 'scoreResult', { runId, accepted: true, score: entry.score, rank: rank ?? null });
+  }
+
+  rememberVerdict(runId, verdict) {
+    this.verdicts.set(runId, verdict);
+    if (this.verdicts.size > MAX_REMEMBERED_RUNS) {
+      this.verdicts.delete(this.verdicts.keys().next().value); // Oldest first
+    }
+  }
+
+  handleDisconnect(client) {
+    if (!this.clients.has(client.id)) return;
+
+    this.clients.delete(client.id);
+    this.sessions.set(client.resumeToken, {
+      token: client.resumeToken,
+      id: client.id,
+      name: client.name,
+      state: client.state,
+      runs: client.runs,
+      connectedAt: client.connectedAt,
+      expiresAt: Date.now() + RESUME_GRACE_PERIOD
+    });
+    this.broadcast('playerLeft', { id: client.id });
+    console.log(`Player disconnected: ${client.id} (${this.clients.size} online)`);
+  }
+
+  // Returns (and consumes) the dropped session for a resume token, if still valid
+  takeSession(token) {
+    if (!token) return null;
+    const session = this.sessions.get(token);
+    this.sessions.delete(token);
+    if (!session || session.expiresAt < Date.now() || this.clients.has(session.id)) {
+      return null;
+    }
+    return session;
+  }
+
+  pruneSessions() {
+    const now = Date.now();
+    this.sessions.forEach((session, token) => {
+      if (session.expiresAt < now) this.sessions.delete(token);
+    });
+    this.recentSeeds.forEach((retiredAt, seed) => {
+      if (retiredAt !== null && now - retiredAt > SEED_SUBMIT_WINDOW) this.recentSeeds.delete(seed);
+    });
+  }
+
+  scheduleRegeneration() {
+    clearTimeout(this.regenTimer);
+    this.nextRegenAt = Date.now() + this.regenInterval;
+    this.regenTimer = setTimeout(() => this.regenerateLevel(), this.regenInterval);
+  }
+
+  /**
+   * Pick a new seed and tell every client to rebuild the level now
+   * @param {string} [seed] - Seed to switch to (random if omitted)
+   */
+  regenerateLevel(seed = generateSeed()) {
+    this.recentSeeds.set(this.levelSeed, Date.now());
+    this.levelSeed = seed;
+    this.recentSeeds.set(seed, null);
+    this.scheduleRegeneration();
+
+    // Old positions refer to the previous layout
+    this.clients.forEach(client => {
+      delete client.state.position;
+    });
+
+    this.broadcast('regenerate', this.describeLevel());
+    console.log(`Level regenerated with seed ${this.levelSeed}`);
+  }
+
+  describeLevel() {
+    return {
+      seed: this.levelSeed,
+      nextRegenAt: this.nextRegenAt,
+      serverTime: Date.now()
+    };
+  }
+
+  checkHeartbeats() {
+    this.pruneSessions();
+    this.clients.forEach(client => {
+      if (!client.isAlive) {
+        client.ws.terminate();
+        return;
+      }
+      client.isAlive = false;
+      client.ws.ping();
+    });
+  }
+
+  describePlayer(client) {
+    return {
+      id: client.id,
+      name: client.name,
+      state: client.state
+    };
+  }
+
+  getPlayerList() {
+    return Array.from(this.clients.values()).map(client => this.describePlayer(client));
+  }
+
+  sendTo(client, type, payload) {
+    if (client.ws.readyState !== WebSocket.OPEN) return;
+    client.ws.send(JSON.stringify({ type, payload }));
+  }
+
+  /**
+   * Send a message to every connected client
+   * @param {string} type - Message type
+   * @param {Object} payload - Message payload
+   * @param {string} [excludeId] - Client id to skip (usually the sender)
+   */
+  broadcast(type, payload, excludeId = null) {
+    const message = JSON.stringify({ type, payload });
+    this.clients.forEach(client => {
+      if (client.id === excludeId || client.ws.readyState !== WebSocket.OPEN) return;
+      client.ws.send(message);
+    });
+  }
+}
+
+function getResumeToken(request) {
+  if (!request || !request.url) return null;
+  const url = new URL(request.url, 'http://localhost');
+  return url.searchParams.get('resume');
+}
+
+// Only relay well-formed state so one bad client can't break everyone else's scene
+function sanitizeState(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+
+  const state = {};
+  if (isNumberArray(payload.position, 3)) {
+    state.position = payload.position;
+  }
+  if (isNumberArray(payload.rotation, 4)) {
+    state.rotation = payload.rotation;
+  }
+  if (Number.isFinite(payload.health)) {
+    state.health = payload.health;
+  }
+  const name = typeof payload.name === 'string' ? stripMarkup(payload.name).trim() : '';
+  if (name.length > 0) {
+    state.name = name.substring(0, MAX_NAME_LENGTH);
+  }
+  return state;
+}
+
+// Text relayed to other players can't carry HTML, whatever client sent it
+function stripMarkup(text) {
+  return text.replace(/[<>]/g, '');
+}
+
+function isRunId(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= MAX_RUN_ID_LENGTH;
+}
+
+function eventKey(event) {
+  return `${event.type}:${event.time}:${event.id ?? event.amount}`;
+}
+
+// Keep only the fields runValidator.js reads
+function sanitizeRunEvent(event) {
+  if (!event || typeof event !== 'object' || !Number.isFinite(event.time)) return null;
+
+  if (event.type === 'pickup' && typeof event.item === 'string' && isNumberArray(event.position, 3)
+      && (typeof event.id === 'string' || Number.isFinite(event.id))) {
+    return { type: 'pickup', time: event.time, id: event.id, item: event.item, position: event.position };
+  }
+  if (event.type === 'damage' && Number.isFinite(event.amount) && event.amount >= 0) {
+    return { type: 'damage', time: event.time, amount: event.amount };
+  }
+  return null;
+}
+
+function isNumberArray(value, length) {
+  return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+}
@@ -0,0 +1,53 @@
+import { createServer } from 'http';
+import { GameServer } from './gameServer.js';
+import { LeaderboardServer } from './leaderboardServer.js';
+import { SupabaseScoreWriter } from './supabaseScoreWriter.js';
+
+const PORT = Number(process.env.PORT) || 8080;
+const REGEN_INTERVAL = Number(process.env.REGEN_INTERVAL_MS) || undefined;
+
+// One port for both: WebSocket upgrades go to the game server, /scores to the leaderboard
+const leaderboard = new LeaderboardServer({
+  file: process.env.LEADERBOARD_FILE || null,
+  allowDirectSubmissions: process.env.LEADERBOARD_DIRECT_SUBMIT === 'true'
+});
+// Games reading their leaderboard from Supabase get validated scores written there instead
+const supabaseScores = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY
+  ? new SupabaseScoreWriter({ url: process.env.SUPABASE_URL, serviceKey: process.env.SUPABASE_SERVICE_KEY })
+  : null;
+const httpServer = createServer((req, res) => {
+  if (!leaderboard.handleRequest(req, res)) {
+    res.writeHead(404);
+    res.end();
+  }
+});
+
+const gameServer = new GameServer({
+  server: httpServer,
+  regenInterval: REGEN_INTERVAL,
+  seed: process.env.LEVEL_SEED || null,
+  onScoreAccepted: entry => {
+    if (!supabaseScores) return leaderboard.addEntry(entry);
+    supabaseScores.addEntry(entry);
+    return null; // The client looks its rank up on Supabase
+  }
+});
+
+leaderboard.load()
+  .then(() => gameServer.start())
+  .then(() => {
+    httpServer.listen(PORT, () => {
+      console.log(`Game server listening on ws://localhost:${PORT} (leaderboard at http://localhost:${PORT}/scores)`);
+    });
+  });
+
+// Close sockets cleanly on Ctrl+C / container shutdown
+const shutdown = () => {
+  console.log('Shutting down game server...');
+  supabaseScores?.stop();
+  gameServer.stop()
+    .then(() => new Promise(resolve => httpServer.close(resolve)))
+    .then(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,190 @@
+import { readFile, writeFile } from 'fs/promises';
+import { getLeaderboardPage, getPlayerRank, getScoreRank, LEADERBOARD_PERIODS } from '../src/leaderboard/leaderboardQuery.js';
+
+const MAX_NAME_LENGTH = 16;
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_PAGE_SIZE = 100;
+const SAVE_DELAY = 1000; // Batch file writes when scores arrive in bursts
+
+/**
+ * Reference leaderboard server speaking the protocol of src/leaderboard/httpBackend.js.
+ * Scores live in memory and, if a file is given, are persisted to it as JSON.
+ *
+ * Mount it on a Node HTTP server: `handleRequest(req, res)` answers /scores requests and
+ * returns false for anything else.
+ *
+ * Alongside the game server, scores should only arrive through GameServer's validated
+ * submissions (via addEntry()), so POST /scores is refused unless allowDirectSubmissions is set.
+ */
+export class LeaderboardServer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - JSON file to load scores from and save them to
+   * @param {number} [options.maxEntries=10000] - Lowest scores are dropped past this
+   * @param {boolean} [options.allowDirectSubmissions=false] - Accept unvalidated POST /scores
+   */
+  constructor({ file = null, maxEntries = 10000, allowDirectSubmissions = false } = {}) {
+    this.file = file;
+    this.maxEntries = maxEntries;
+    this.allowDirectSubmissions = allowDirectSubmissions;
+    this.entries = [];
+    this.saveTimer = null;
+  }
+
+  async load() {
+    if (!this.file) return;
+    try {
+      this.entries = JSON.parse(await readFile(this.file, 'utf8'));
+      console.log(`Loaded ${this.entries.length} scores from ${this.file}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not read leaderboard file ${this.file}:`, error.message);
+      }
+    }
+  }
+
+  scheduleSave() {
+    if (!this.file || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      writeFile(this.file, JSON.stringify(this.entries)).catch(error => {
+        console.error(`Could not write leaderboard file ${this.file}:`, error.message);
+      });
+    }, SAVE_DELAY);
+  }
+
+  /**
+   * Add a score to the leaderboard
+   * @param {Object} entry - Score entry with the columns sanitizeEntry() keeps
+   * @returns {number} The score's all-time rank
+   */
+  addEntry(entry) {
+    this.entries.push(entry);
+    this.entries.sort((a, b) => b.score - a.score);
+    this.entries.length = Math.min(this.entries.length, this.maxEntries);
+    this.scheduleSave();
+    return getScoreRank(this.entries, entry.score);
+  }
+
+  /**
+   * Answer a leaderboard request
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   * @returns {boolean} Whether the request was for the leaderboard
+   */
+  handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (!url.pathname.startsWith('/scores')) return false;
+
+    // The game is served from a different origin (Vite dev server, static host)
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return true;
+    }
+
+    const filters = readFilters(url.searchParams);
+    if (req.method === 'POST' && url.pathname === '/scores') {
+      if (this.allowDirectSubmissions) {
+        this.handleSubmit(req, res);
+      } else {
+        sendJson(res, 403, { error: 'Scores are submitted through the game server' });
+      }
+    } else if (req.method === 'GET' && url.pathname === '/scores') {
+      const page = readInteger(url.searchParams.get('page'), 0, 0, Infinity);
+      const pageSize = readInteger(url.searchParams.get('pageSize'), 10, 1, MAX_PAGE_SIZE);
+      sendJson(res, 200, getLeaderboardPage(this.entries, { ...filters, page, pageSize }));
+    } else if (req.method === 'GET' && url.pathname === '/scores/rank') {
+      const score = Number(url.searchParams.get('score'));
+      if (!Number.isFinite(score)) {
+        sendJson(res, 400, { error: 'score is required' });
+      } else {
+        sendJson(res, 200, { rank: getScoreRank(this.entries, score, filters) });
+      }
+    } else if (req.method === 'GET' && url.pathname === '/scores/player') {
+      const around = readInteger(url.searchParams.get('around'), 2, 0, 10);
+      const result = getPlayerRank(this.entries, url.searchParams.get('name'), { ...filters, around });
+      if (result) {
+        sendJson(res, 200, result);
+      } else {
+        sendJson(res, 404, { error: 'No score for this player' });
+      }
+    } else {
+      sendJson(res, 404, { error: 'Not found' });
+    }
+    return true;
+  }
+
+  handleSubmit(req, res) {
+    readBody(req).then(body => {
+      const entry = sanitizeEntry(body);
+      if (!entry) {
+        sendJson(res, 400, { error: 'Invalid score entry' });
+        return;
+      }
+      sendJson(res, 201, { rank: this.addEntry(entry) });
+    }).catch(error => {
+      sendJson(res, 400, { error: error.message });
+    });
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new Error('Malformed JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function readFilters(params) {
+  const period = params.get('period');
+  return {
+    period: Object.hasOwn(LEADERBOARD_PERIODS, period ?? '') ? period : 'all',
+    seed: params.get('seed') || null
+  };
+}
+
+function readInteger(value, fallback, min, max) {
+  const number = Number.parseInt(value, 10);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+// Keep only the known columns, with sane types
+function sanitizeEntry(body) {
+  if (!body || typeof body !== 'object') return null;
+  if (!Number.isFinite(body.score)) return null;
+
+  const name = typeof body.player_name === 'string' ? body.player_name.trim().substring(0, MAX_NAME_LENGTH) : '';
+  const createdAt = Date.parse(body.created_at);
+  return {
+    player_name: name || 'Anonymous',
+    score: Math.floor(body.score),
+    game_time: Number.isFinite(body.game_time) ? body.game_time : null,
+    artifacts_collected: Number.isInteger(body.artifacts_collected) ? body.artifacts_collected : null,
+    seed: typeof body.seed === 'string' ? body.seed : null,
+    // Queued scores keep the time they were set, but not one in the future
+    created_at: new Date(Number.isFinite(createdAt) ? Math.min(createdAt, Date.now()) : Date.now()).toISOString()
+  };
+}
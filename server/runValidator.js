@@ -0,0 +1,147 @@
+import { scoreRun, SCORING_RULES } from '../src/utils/scoring.js';
+import { generateDescentLayout } from '../src/world/descentLayout.js';
+
+/**
+ * What a legitimate run can do, taken from the client's physics and level generation.
+ * Tolerances absorb the 10 Hz sampling and frame-rate differences between clients.
+ */
+export const RUN_LIMITS = {
+  gravity: 30,                 // Player.gravity
+  maxHorizontalSpeed: 10,      // Player.moveSpeed; nothing in the game pushes the player sideways faster
+  maxJumpSpeed: 15 * 1.4,      // Player.jumpForce with the high jump multiplier
+  positionTolerance: 1.5,      // Units of slack per sample pair
+  speedTolerance: 1.25,        // Multiplier on the horizontal speed limit
+  clockTolerance: 2,           // Seconds a run's clock may run ahead of the server's
+  firstPlatformTopY: 145.5,    // Depth 0, as in Game.updateGameState()
+  completionDepth: 125,        // The bottom platform sits about 135m down
+  pickupReach: 4,              // Collection radius (2.5) plus item bobbing and movement between samples
+  pickupWindow: 0.5,           // Seconds either side of a pickup to look for a nearby sample
+  maxPickups: { artifact: 4, memory: 4, health: 2 },
+  scoreTolerance: 50           // Points a claim may exceed the server's own calculation by
+};
+
+/**
+ * Check a claimed score against the telemetry the server received during the run
+ * @param {Object} run - Telemetry kept by GameServer for the client
+ * @param {string} run.seed - Level seed the run started on
+ * @param {number} run.startedAt - Server time (ms) the run started
+ * @param {Array<Array<number>>} run.samples - [time, x, y, z] per sample, run time in seconds
+ * @param {Array<Object>} run.events - { type, time, id, item, position, amount }
+ * @param {Object} claim - What the client submitted: score, time, completed, damageTaken, seed
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Current server time (ms)
+ * @param {Object} [options.limits=RUN_LIMITS]
+ * @returns {{valid: boolean, reason: string|null, score: Object|null}} `score` is the server's
+ *   own scoreRun() result when valid
+ */
+export function validateRun(run, claim, { now = Date.now(), limits = RUN_LIMITS } = {}) {
+  const reject = reason => ({ valid: false, reason, score: null });
+
+  if (!run) return reject('no run telemetry');
+  if (!claim || !Number.isFinite(claim.score) || !Number.isFinite(claim.time) || claim.time < 0) {
+    return reject('malformed claim');
+  }
+  if (claim.seed !== run.seed) return reject('seed does not match the run');
+
+  const { samples, events } = run;
+  if (samples.length === 0) return reject('no position samples');
+
+  // The run's clock can't have advanced faster than real time (it stops while paused, so it may be slower)
+  const serverElapsed = (now - run.startedAt) / 1000;
+  if (claim.time > serverElapsed + limits.clockTolerance) return reject('run time is longer than the server saw');
+  // Samples must cover the run from the top, or the start could be skipped entirely
+  const [firstTime, , firstY] = samples[0];
+  if (firstTime > limits.clockTolerance || limits.firstPlatformTopY - firstY > limits.positionTolerance) {
+    return reject('run does not start at the top');
+  }
+  const lastSampleTime = samples[samples.length - 1][0];
+  if (lastSampleTime > claim.time + limits.clockTolerance) return reject('samples recorded after the claimed time');
+
+  const movementError = checkMovement(samples, limits);
+  if (movementError) return reject(movementError);
+
+  // Items are where the seed put them, whatever the client says
+  const { collectibles } = generateDescentLayout(run.seed);
+  const pickupResult = checkPickups(samples, events, collectibles, limits);
+  if (pickupResult.error) return reject(pickupResult.error);
+
+  const lowestY = samples.reduce((lowest, sample) => Math.min(lowest, sample[2]), Infinity);
+  const maxDepth = Math.max(0, limits.firstPlatformTopY - lowestY);
+  const completed = !!claim.completed;
+  if (completed && maxDepth < limits.completionDepth) return reject('completed without reaching the bottom');
+
+  const reportedDamage = events
+    .filter(event => event.type === 'damage')
+    .reduce((sum, event) => sum + event.amount, 0);
+  const damageTaken = Math.max(reportedDamage, Number.isFinite(claim.damageTaken) ? claim.damageTaken : 0);
+
+  const score = scoreRun({ time: claim.time, pickups: pickupResult.pickups, completed, maxDepth, damageTaken }, SCORING_RULES);
+  if (claim.score > score.total + limits.scoreTolerance) {
+    return reject(`claimed ${claim.score} but the run is worth ${score.total}`);
+  }
+  return { valid: true, reason: null, score };
+}
+
+// Speeds between consecutive samples must be reachable with the player's movement and gravity
+function checkMovement(samples, limits) {
+  const { gravity, positionTolerance } = limits;
+  let maxFallSpeed = 0; // Fastest the player could be falling at the current sample
+
+  for (let i = 1; i < samples.length; i++) {
+    const [t0, x0, y0, z0] = samples[i - 1];
+    const [t1, x1, y1, z1] = samples[i];
+    const dt = t1 - t0;
+    if (dt <= 0) continue;
+
+    const horizontal = Math.hypot(x1 - x0, z1 - z0);
+    if (horizontal > limits.maxHorizontalSpeed * limits.speedTolerance * dt + positionTolerance) {
+      return `moved ${horizontal.toFixed(1)} units sideways in ${dt.toFixed(2)}s`;
+    }
+
+    const rise = y1 - y0;
+    if (rise > limits.maxJumpSpeed * dt + positionTolerance) {
+      return `rose ${rise.toFixed(1)} units in ${dt.toFixed(2)}s`;
+    }
+
+    // Free fall from the fastest speed the player could already have had
+    const drop = -rise;
+    if (drop > maxFallSpeed * dt + 0.5 * gravity * dt * dt + positionTolerance) {
+      return `descended ${drop.toFixed(1)} units in ${dt.toFixed(2)}s`;
+    }
+    // Falling the whole interval ends at drop/dt + g*dt/2; landing or jumping ends slower
+    maxFallSpeed = Math.max(0, Math.min(maxFallSpeed + gravity * dt, drop / dt + 0.5 * gravity * dt));
+  }
+  return null;
+}
+
+// Pickups must be items of the run's layout, collected once each, on platforms the player's path
+// actually reached at the time
+function checkPickups(samples, events, collectibles, limits) {
+  const pickups = [];
+  const seenIds = new Set();
+  const counts = {};
+  const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+  for (const event of events) {
+    if (event.type !== 'pickup') continue;
+
+    if (!Object.hasOwn(limits.maxPickups, event.item)) return { error: `unknown item type ${event.item}` };
+    const item = collectibles.find(collectible => collectible.id === event.id);
+    if (!item) return { error: `item ${event.id} is not in this layout` };
+    if (item.type !== event.item) return { error: `item ${event.id} is not a ${event.item}` };
+    if (seenIds.has(event.id)) return { error: `item ${event.id} collected twice` };
+    seenIds.add(event.id);
+    counts[event.item] = (counts[event.item] || 0) + 1;
+    if (counts[event.item] > limits.maxPickups[event.item]) return { error: `too many ${event.item} pickups` };
+
+    if (distance(event.position, item.position) > limits.pickupReach) {
+      return { error: `item ${event.id} picked up from ${distance(event.position, item.position).toFixed(1)} units away` };
+    }
+    const visited = samples.some(([time, ...position]) => Math.abs(time - event.time) <= limits.pickupWindow
+      && distance(position, item.position) <= limits.pickupReach);
+    if (!visited) return { error: `item ${event.id} picked up away from the player's path` };
+
+    pickups.push({ type: event.item, time: event.time });
+  }
+  return { pickups };
+}
@@ -0,0 +1,76 @@
+const TABLE = 'high_scores';
+const RETRY_INTERVAL = 30000;
+
+/**
+ * Writes validated scores to the Supabase `high_scores` table with the service role key, for
+ * deployments where the game reads its leaderboard from Supabase. The table's row level
+ * security should only let the anon key select, so scores can only arrive through GameServer.
+ * Inserts that fail because Supabase is unreachable are retried.
+ */
+export class SupabaseScoreWriter {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Project URL
+   * @param {string} options.serviceKey - Service role key (keep it on the server)
+   * @param {number} [options.timeout=8000] - Milliseconds before an insert counts as failed
+   * @param {number} [options.maxPending=1000] - Oldest unsent scores are dropped past this
+   */
+  constructor({ url, serviceKey, timeout = 8000, maxPending = 1000 }) {
+    this.endpoint = `${url.replace(/\/+$/, '')}/rest/v1/${TABLE}`;
+    this.serviceKey = serviceKey;
+    this.timeout = timeout;
+    this.maxPending = maxPending;
+    this.pending = [];
+    this.retryTimer = null;
+  }
+
+  /**
+   * Insert a score, keeping it for a retry if Supabase can't be reached
+   * @param {Object} entry - Leaderboard entry from GameServer
+   */
+  addEntry(entry) {
+    this.insert(entry).catch(error => {
+      if (error.permanent) {
+        console.error('Supabase refused a validated score:', error.message);
+        return;
+      }
+      console.warn('Could not write score to Supabase, will retry:', error.message);
+      this.pending = [...this.pending, entry].slice(-this.maxPending);
+      this.scheduleRetry();
+    });
+  }
+
+  async insert(entry) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        apikey: this.serviceKey,
+        Authorization: `Bearer ${this.serviceKey}`,
+        'Content-Type': 'application/json',
+        Prefer: 'return=minimal'
+      },
+      body: JSON.stringify(entry),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    if (!response.ok) {
+      const error = new Error(`Supabase answered ${response.status}: ${await response.text()}`);
+      error.permanent = response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429;
+      throw error;
+    }
+  }
+
+  scheduleRetry() {
+    if (this.retryTimer) return;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      const entries = this.pending;
+      this.pending = [];
+      entries.forEach(entry => this.addEntry(entry));
+    }, RETRY_INTERVAL);
+  }
+
+  stop() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+  }
+}
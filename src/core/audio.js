@@ -15,6 +15,7 @@ export class AudioManager {
     this.musicVolume = 0.5; // Keep for future music
     this.muted = false;
     this.prePauseMasterVolume = 1.0; // <<< ADD: Store volume before pausing
+    this.isPaused = false; // Master stays silent while the game is paused
 
     // Sound definitions
     this.soundFiles = {
@@ -168,13 +169,11 @@ export class AudioManager {
     });
   }
 
-  // Methods to control volume (can be called from UI/settings later)
+  // Methods to control volume (called from the settings panel)
   setMasterVolume(value) {
     this.masterVolume = value;
-    // Store this value as the target volume if not currently paused
-    if (!window.game || !window.game.isUserPaused) { 
-      this.prePauseMasterVolume = value; 
-    }
+    // Settings are changed while paused, so this is also the volume to restore on resume
+    this.prePauseMasterVolume = value;
     this.updateVolumes();
   }
 
@@ -190,7 +189,7 @@ export class AudioManager {
 
   updateVolumes() {
     if (!this.audioContext) return;
-    const effectiveMaster = this.muted ? 0 : this.masterVolume;
+    const effectiveMaster = this.muted || this.isPaused ? 0 : this.masterVolume;
     this.masterGain.gain.setValueAtTime(effectiveMaster, this.audioContext.currentTime);
     this.soundGain.gain.setValueAtTime(this.soundVolume, this.audioContext.currentTime);
     this.musicGain.gain.setValueAtTime(this.musicVolume, this.audioContext.currentTime);
@@ -203,6 +202,7 @@ export class AudioManager {
 
   // Methods for pause handling
   pauseAudio() {
+    this.isPaused = true;
     if (this.audioContext && this.masterGain) {
       this.prePauseMasterVolume = this.masterVolume; // Store current volume
       // Set gain to 0 immediately
@@ -218,9 +218,11 @@ export class AudioManager {
   }
 
   resumeAudio() {
+    this.isPaused = false;
     if (this.audioContext && this.masterGain) {
       // Restore the volume before pausing immediately
-      this.masterGain.gain.setValueAtTime(this.prePauseMasterVolume, this.audioContext.currentTime);
+      const restoredVolume = this.muted ? 0 : this.prePauseMasterVolume;
+      this.masterGain.gain.setValueAtTime(restoredVolume, this.audioContext.currentTime);
       // // Restore the volume before pausing
       // this.masterGain.gain.linearRampToValueAtTime(
       //   this.prePauseMasterVolume, 
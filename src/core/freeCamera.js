@@ -0,0 +1,102 @@
+import * as THREE from 'three';
+
+/**
+ * Free-fly camera for the replay viewer.
+ * WASD moves, Q/E lowers/raises, Shift speeds up, dragging with the mouse looks around.
+ */
+export class FreeCamera {
+  constructor() {
+    this.camera = null;
+    this.domElement = null;
+    this.enabled = false;
+
+    this.moveSpeed = 20;
+    this.fastMultiplier = 3;
+    this.lookSpeed = 0.003;
+
+    this.keys = {};
+    this.isDragging = false;
+    this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    this.moveVector = new THREE.Vector3();
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.handleMouseDown = this.handleMouseDown.bind(this);
+    this.handleMouseUp = this.handleMouseUp.bind(this);
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+  }
+
+  /**
+   * Take control of a camera
+   * @param {THREE.PerspectiveCamera} camera - Camera to fly
+   * @param {HTMLElement} domElement - Element that receives mouse drags (the canvas)
+   */
+  enable(camera, domElement) {
+    if (this.enabled) return;
+    this.enabled = true;
+    this.camera = camera;
+    this.domElement = domElement;
+    this.euler.setFromQuaternion(camera.quaternion);
+
+    window.addEventListener('keydown', this.handleKeyDown);
+    window.addEventListener('keyup', this.handleKeyUp);
+    window.addEventListener('mousemove', this.handleMouseMove);
+    window.addEventListener('mouseup', this.handleMouseUp);
+    domElement.addEventListener('mousedown', this.handleMouseDown);
+  }
+
+  disable() {
+    if (!this.enabled) return;
+    this.enabled = false;
+    this.keys = {};
+    this.isDragging = false;
+
+    window.removeEventListener('keydown', this.handleKeyDown);
+    window.removeEventListener('keyup', this.handleKeyUp);
+    window.removeEventListener('mousemove', this.handleMouseMove);
+    window.removeEventListener('mouseup', this.handleMouseUp);
+    this.domElement?.removeEventListener('mousedown', this.handleMouseDown);
+  }
+
+  update(deltaTime) {
+    if (!this.enabled || !this.camera) return;
+
+    this.moveVector.set(
+      (this.keys.d ? 1 : 0) - (this.keys.a ? 1 : 0),
+      (this.keys.e ? 1 : 0) - (this.keys.q ? 1 : 0),
+      (this.keys.s ? 1 : 0) - (this.keys.w ? 1 : 0)
+    );
+    if (this.moveVector.lengthSq() === 0) return;
+
+    const speed = this.moveSpeed * (this.keys.shift ? this.fastMultiplier : 1);
+    this.moveVector.normalize().multiplyScalar(speed * deltaTime);
+    this.moveVector.applyQuaternion(this.camera.quaternion);
+    this.camera.position.add(this.moveVector);
+  }
+
+  handleKeyDown(event) {
+    this.keys[event.key.toLowerCase()] = true;
+  }
+
+  handleKeyUp(event) {
+    this.keys[event.key.toLowerCase()] = false;
+  }
+
+  handleMouseDown(event) {
+    this.isDragging = true;
+    event.preventDefault();
+  }
+
+  handleMouseUp() {
+    this.isDragging = false;
+  }
+
+  handleMouseMove(event) {
+    if (!this.isDragging || !this.camera) return;
+
+    this.euler.y -= event.movementX * this.lookSpeed;
+    this.euler.x -= event.movementY * this.lookSpeed;
+    this.euler.x = Math.max(-Math.PI / 2 + 0.01, Math.min(Math.PI / 2 - 0.01, this.euler.x));
+    this.camera.quaternion.setFromEuler(this.euler);
+  }
+}
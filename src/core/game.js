@@ -6,10 +6,23 @@ import { LevelManager } from '../world/level.js';
 import { UI } from '../ui/ui.js';
 import { AudioManager } from './audio.js';
 import { NetworkManager } from './network.js';
-import { SupabaseService } from './supabaseService.js';
+import { LeaderboardService } from '../leaderboard/leaderboardService.js';
+import { ScoreQueue } from '../leaderboard/scoreQueue.js';
+import { SnapshotBuffer } from './interpolation.js';
+import { createPlayerCapsule } from '../entities/capsule.js';
+import { Ghost } from '../entities/ghost.js';
+import { RunRecorder } from '../replay/runRecorder.js';
+import { RunTelemetry } from '../replay/runTelemetry.js';
+import { ReplayViewer } from '../replay/replayViewer.js';
+import { GameEvents, EVENT_TYPES } from '../utils/events.js';
+import { Storage } from '../utils/storage.js';
+import { Profile, DEFAULT_SETTINGS } from '../utils/profile.js';
+import { scoreRun } from '../utils/scoring.js';
 
 // <<< DEFINE WebSocket Server URL (Replace with your actual server URL) >>>
-const WEBSOCKET_URL = 'wss://vibegame-game-server.onrender.com'; // <<< UPDATED
+// Set VITE_WEBSOCKET_URL (e.g. ws://localhost:8080) to use the bundled server in /server
+const WEBSOCKET_URL = import.meta.env.VITE_WEBSOCKET_URL || 'wss://vibegame-game-server.onrender.com';
+const MAX_RUN_SENDS = 5; // Times a finished run is sent to the game server before giving up on an answer
 
 export class Game {
   constructor(playerName = "Anon") { // <<< ACCEPT playerName >>>
@@ -20,13 +33,19 @@ export class Game {
     this.player = null;
     this.ui = new UI();
     this.audio = new AudioManager();
-    this.supabase = new SupabaseService(); // <<< INSTANTIATE
+    this.leaderboard = new LeaderboardService(); // Backend picked from the environment
     this.isRunning = false;
     this.isPaused = false;
     this.isUserPaused = false;
     this.interactingNPC = null;
     this.initialPlayerPosition = null;
     
+    // Fixed-timestep simulation: gameplay advances in equal steps regardless of frame rate
+    this.fixedTimeStep = 1 / 120; // Seconds per simulation step
+    this.maxSubSteps = 8;         // Steps per rendered frame before dropping time (slow frames)
+    this.stepAccumulator = 0;     // Frame time not yet simulated
+    this.unstepped = { pressed: {}, released: {} }; // Input edges waiting for the next step
+    
     // <<< ADD Multiplayer State >>>
     this.network = null;
     this.clientId = null;
@@ -35,9 +54,30 @@ export class Game {
     this.lastNetworkUpdate = 0; // Timer for throttling network updates
     this.networkUpdateInterval = 100; // Send updates every 100ms
     
+    // <<< ADD Remote Player Interpolation Settings >>>
+    this.remoteInterpolation = {
+      renderDelay: 100,      // Render other players this many ms in the past
+      bufferSize: 20,        // Snapshots kept per remote player
+      maxExtrapolation: 250  // Max ms to extrapolate when packets go missing
+    };
+    this.serverTimeOffset = null; // Estimated (server clock - local clock) in ms
+    
     // <<< ADD Map Regeneration State >>>
     this.mapRegenInterval = 5 * 60 * 1000; // 5 minutes in milliseconds
     this.timeSinceLastRegen = 0;
+    this.isLevelServerControlled = false; // True once the server has sent us its seed
+    this.urlSeed = null; // Layout asked for with ?seed=...; the server's seed wins while connected
+    
+    // <<< ADD Run Recording / Ghost State >>>
+    this.runRecorder = new RunRecorder();
+    this.ghost = null; // Replays the best completed run on the current seed
+    this.lastRun = null; // Most recently finished recording
+    this.replayViewer = new ReplayViewer(this);
+    this.isShowingResults = false; // End-of-run results screen is up; the next attempt waits for it
+    this.telemetry = new RunTelemetry(); // What the server checks submitted scores against
+    this.pendingRuns = new ScoreQueue({ key: 'pending_runs', maxEntries: 5 }); // Finished runs waiting for the server's verdict
+    this.awaitingScoreRunId = null; // Run on the results screen whose rank comes back with the server's verdict
+    this.announcedRunIds = new Set(); // Runs the server has a runStart for (this connection or its resumed session)
     
     // Game state
     this.state = {
@@ -50,11 +90,52 @@ export class Game {
       gameOverReason: null,
       gameWon: false,
       finalScore: 0,
-      scoreFromLastAttempt: null // <<< ADDED: Store score from the attempt before respawn
+      scoreBreakdown: null, // Line items behind finalScore (see utils/scoring.js)
+      scoreFromLastAttempt: null, // <<< ADDED: Store score from the attempt before respawn
+      pickups: [], // { type, time } per item collected this attempt, for combos
+      maxDepth: 0,
+      maxFall: 0, // Biggest drop landed this attempt
+      damageTaken: 0
     };
 
     // Bind methods
     this.update = this.update.bind(this);
+    
+    // Mark gameplay events on the recording's timeline
+    this.setupRunEventRecording();
+    
+    // Let the player know when a controller is picked up or lost
+    GameEvents.on(EVENT_TYPES.INPUT_DEVICE_CONNECTED, ({ isStandard }) => {
+      this.ui.showTemporaryMessage(isStandard ? "Controller connected" : "Controller connected (unknown layout, basic buttons only)", 3000);
+    });
+    GameEvents.on(EVENT_TYPES.INPUT_DEVICE_DISCONNECTED, () => {
+      this.ui.showTemporaryMessage("Controller disconnected", 3000);
+    });
+    
+    // Track the attempt's biggest drop and total damage for the results screen, and give touch
+    // players haptics: a tap on landing (stronger for bigger drops), a buzz on damage
+    GameEvents.on(EVENT_TYPES.PLAYER_LAND, ({ fallDistance }) => {
+      this.state.maxFall = Math.max(this.state.maxFall, fallDistance);
+      this.input.vibrate(Math.round(Math.min(60, 10 + fallDistance * 3)));
+    });
+    GameEvents.on(EVENT_TYPES.PLAYER_DAMAGE, ({ amount }) => {
+      this.state.damageTaken += amount;
+      this.telemetry.recordEvent('damage', this.state.gameTimer, { amount });
+      this.input.vibrate([80, 50, 80]);
+    });
+
+    // Pause when the tab is hidden or loses focus, so returning doesn't feed one huge frame into physics
+    const autoPause = () => {
+      if (this.replayViewer.isActive) {
+        this.replayViewer.isPaused = true;
+      } else if (this.isRunning && !this.isUserPaused && !this.isShowingResults) {
+        this.togglePause();
+      }
+    };
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) autoPause();
+    });
+    window.addEventListener('blur', autoPause);
   }
 
   async init() {
@@ -67,22 +148,13 @@ export class Game {
     const chatInputElement = this.ui.chatUI.input; // Get the element from UI
     this.input.init(chatInputElement); // Pass it during initialization
     
-    // <<< ADD: Fetch and Display Initial High Scores >>>
-    if (this.supabase && typeof this.supabase.getHighScores === 'function') {
-        this.supabase.getHighScores().then(scores => {
-            this.ui.showInitialHighScores(scores);
-        }).catch(e => {
-            console.error("Failed to get initial high scores:", e);
-            this.ui.showInitialHighScores([]); // Show panel even on error
-        });
-    } else {
-         console.warn("Supabase service not available for initial high score fetch.");
-         // Optionally show panel with error/loading state
-         // this.ui.showInitialHighScores([]); 
-    }
+    // Title screen: top scores and the Start Game button
+    this.showTitleScreen();
     
-    // Create first level
-    await this.levelManager.loadLevel(0);
+    // Create first level (a ?seed=... URL parameter reproduces a specific layout)
+    this.urlSeed = new URLSearchParams(window.location.search).get('seed') || null;
+    await this.levelManager.loadLevel(0, { seed: this.urlSeed || undefined });
+    this.renderer.setCollisionGrid(this.levelManager.collisionGrid);
     
     // Get player start position with a fallback
     const startPosition = this.levelManager.getPlayerStartPosition() || new THREE.Vector3(0, 2, 0);
@@ -94,6 +166,7 @@ export class Game {
     
     // Set camera to follow player
     this.renderer.setFollowTarget(this.player.mesh);
+    this.applySettings(Profile.getSettings());
     
     // Connect to WebSocket Server
     this.network = new NetworkManager(WEBSOCKET_URL, this);
@@ -105,6 +178,9 @@ export class Game {
        console.log("Starting game loop...");
     this.isRunning = true;
     this.clock.start();
+       this.renderer.setMouseLookEnabled(true);
+       this.input.clearInputState(); // Drop key presses made on the menus
+       this.startAttempt();
     this.update();
        this.audio.playMusic('surface', { volume: 0.4 });
        this.ui.hideInitialHighScores(); // Ensure panel is hidden
@@ -117,20 +193,38 @@ export class Game {
     if (!this.isRunning) return;
     
     // <<< MOVE: Calculate deltaTime first
-    const deltaTime = this.isUserPaused ? 0 : this.clock.getDelta(); // Get deltaTime ONLY if not user-paused
+    const deltaTime = (this.isUserPaused || this.isShowingResults) ? 0 : this.clock.getDelta(); // Get deltaTime ONLY if not user-paused
+    
+    // <<< ADD: Replay viewer takes over the loop while open >>>
+    if (this.replayViewer.isActive) {
+      this.replayViewer.update(deltaTime);
+      this.renderer.render(this.levelManager.scene, deltaTime);
+      requestAnimationFrame(this.update);
+      return;
+    }
     
     // Always get input state first
     const inputState = this.input.getInputState();
+    this.renderer.setLookDown(inputState.lookDown);
+    this.renderer.applyLookInput(inputState.lookX, inputState.lookY, deltaTime);
+    this.renderer.applyLookDelta(inputState.lookDeltaX, inputState.lookDeltaY, this.renderer.touchLookSensitivity);
+
+    // Results screen waits for Retry / Watch Replay; pause does nothing behind it
+    if (this.isShowingResults) {
+      this.ui.handleResultsInput(inputState);
+      this.renderer.render(this.levelManager.scene, 0);
+      requestAnimationFrame(this.update);
+      return;
+    }
 
     // --- Check for User Pause Toggle --- 
-    if (inputState.pause) {
+    if (inputState.pressed.pause) {
         this.togglePause();
-        this.input.clearInputState(); // Consume the pause input for this frame
     }
 
     // Handle Dialogue Pause State (takes precedence over user pause for dialogue flow)
     if (this.isPaused && this.interactingNPC) { // Paused for dialogue
-      if (inputState.interact && this.interactingNPC) {
+      if (inputState.pressed.interact && this.interactingNPC) {
         // If paused for dialogue and interact is pressed, get the next line
         
         // <<< MODIFY: Check for win condition NPC interaction >>>
@@ -158,7 +252,7 @@ export class Game {
              // Default behavior: just end dialogue after first interaction for non-win NPCs
              this.unpauseAndEndDialogue();
          }
-      } else if (inputState.interact && !this.interactingNPC) {
+      } else if (inputState.pressed.interact && !this.interactingNPC) {
           // Failsafe: If paused but somehow lost NPC ref, just unpause
           this.unpauseAndEndDialogue();
       }
@@ -169,7 +263,7 @@ export class Game {
     
     // --- Handle User Pause State --- 
     if (this.isUserPaused) {
-        // Optional: Render a pause screen overlay via UI
+        this.ui.handlePauseMenuInput(inputState); // Keyboard / gamepad menu navigation
         this.renderer.render(this.levelManager.scene, 0); // Render static scene
         requestAnimationFrame(this.update);
         return; // Skip game logic updates
@@ -180,31 +274,24 @@ export class Game {
     // console.log(`[Game.update] Received dialogue data from player:`, dialogueData); 
     // if (dialogueData) { ... } else { ... }
     
-    // Normal game updates only if NOT starting dialogue
-    this.player.update(deltaTime, inputState, this.levelManager);
-
-    this.levelManager.update(deltaTime, this.player);
+    // Run as many fixed simulation steps as the elapsed time covers
+    const alpha = this.advanceSimulation(deltaTime, inputState);
     
-    // Process collected items
-    const collectedItems = this.player.getCollectedItems();
-    collectedItems.forEach(itemData => {
-      if (itemData.type === 'artifact') {
-        this.collectArtifact(itemData);
-      } else if (itemData.type === 'memory') {
-        this.collectMemory(itemData);
-      } else if (itemData.type === 'health') {
-        this.player.heal(50); // Heal 50%
-      }
-    });
-
-    // Update game state (only checks win/lose now)
-    this.updateGameState(deltaTime);
+    // Move other players along their buffered snapshots
+    this.updateOtherPlayers();
     
     // Update UI (non-dialogue parts)
     this.ui.update(this.state);
     
-    // Render the current frame (happens whether paused check passed or not, unless returned early)
+    // Render the player between its last two simulated poses, then restore the simulated pose
+    const mesh = this.player.mesh;
+    const simulatedPosition = mesh.position.clone();
+    const simulatedQuaternion = mesh.quaternion.clone();
+    mesh.position.lerpVectors(this.player.previousPosition, simulatedPosition, alpha);
+    mesh.quaternion.slerpQuaternions(this.player.previousQuaternion, simulatedQuaternion, alpha);
     this.renderer.render(this.levelManager.scene, deltaTime);
+    mesh.position.copy(simulatedPosition);
+    mesh.quaternion.copy(simulatedQuaternion);
     
     // Continue the game loop
     requestAnimationFrame(this.update);
@@ -213,21 +300,125 @@ export class Game {
     const now = performance.now();
     if (this.network && this.clientId && now - this.lastNetworkUpdate > this.networkUpdateInterval) {
       this.sendPlayerState();
+      this.sendRunTelemetry();
       this.lastNetworkUpdate = now;
     }
     
     // <<< ADD: Check for Map Regeneration >>>
-    if (!this.isUserPaused && !this.isPaused) { // Only update timer if game is active
+    // Local fallback only - when connected, the server owns the schedule
+    if (!this.isLevelServerControlled && !this.isUserPaused && !this.isPaused) { // Only update timer if game is active
        this.timeSinceLastRegen += deltaTime * 1000; // deltaTime is in seconds
        if (this.timeSinceLastRegen >= this.mapRegenInterval) {
-          this.regenerateLevel();
+          // A ?seed= link keeps its layout offline: go back to it from the server's, never to a random one
+          if (!this.urlSeed) {
+            this.regenerateLevel();
+          } else if (this.levelManager.currentSeed !== this.urlSeed) {
+            this.regenerateLevel(this.urlSeed);
+          } else {
+            this.timeSinceLastRegen = 0;
+          }
           // Don't return here, let the rest of the frame process before potential async reload
        }
     }
+  }
+  
+  /**
+   * Feed a rendered frame's time into the fixed-step simulation
+   * @param {number} frameTime - Seconds since the last rendered frame
+   * @param {Object} inputState - Input state read this frame
+   * @returns {number} How far (0..1) the leftover time is towards the next step, for interpolation
+   */
+  advanceSimulation(frameTime, inputState) {
+    // Edges seen on frames that ran no step (high refresh rates) are held for the next one
+    ['pressed', 'released'].forEach(edge => {
+      Object.entries(inputState[edge]).forEach(([action, isSet]) => {
+        if (isSet) this.unstepped[edge][action] = true;
+      });
+    });
+
+    const cameraYaw = this.renderer.getCameraYaw();
+    this.stepAccumulator += frameTime;
+    let steps = 0;
+    while (this.stepAccumulator >= this.fixedTimeStep && steps < this.maxSubSteps) {
+      // Each edge reaches exactly one step
+      const stepInput = { ...inputState, ...this.unstepped };
+      this.unstepped = { pressed: {}, released: {} };
+
+      this.player.storePreviousPose();
+      this.step(this.fixedTimeStep, stepInput, cameraYaw);
+      this.stepAccumulator -= this.fixedTimeStep;
+      steps++;
+
+      // Results, game over or dialogue end the frame's simulation
+      if (!this.isRunning || this.isUserPaused || this.isPaused || this.isShowingResults) {
+        this.stepAccumulator = 0;
+        break;
+      }
+    }
+    if (steps === this.maxSubSteps) {
+      // Too far behind to catch up; drop the backlog rather than spiral
+      this.stepAccumulator = Math.min(this.stepAccumulator, this.fixedTimeStep);
+    }
+    return this.stepAccumulator / this.fixedTimeStep;
+  }
+
+  /**
+   * Advance gameplay by one fixed step, so physics behaves the same at any frame rate.
+   * Nothing re-simulates these steps: replays play back recorded poses, and the server only
+   * bounds-checks sampled positions (see server/runValidator.js).
+   * @param {number} deltaTime - Step length in seconds (always fixedTimeStep)
+   * @param {Object} inputState - Input for this step
+   * @param {number} cameraYaw - Camera heading used by camera-relative movement
+   */
+  step(deltaTime, inputState, cameraYaw) {
+    this.player.update(deltaTime, inputState, this.levelManager, cameraYaw);
+    this.runRecorder.recordFrame(deltaTime, this.player.mesh, inputState);
+    this.ghost?.update(deltaTime);
 
-    // Update other player name sprite positions (after local player update)
+    this.levelManager.update(deltaTime, this.player);
+    
+    // Process collected items
+    const collectedItems = this.player.getCollectedItems();
+    collectedItems.forEach(itemData => {
+      this.recordPickupTelemetry(itemData);
+      if (itemData.type === 'artifact') {
+        this.collectArtifact(itemData);
+      } else if (itemData.type === 'memory') {
+        this.collectMemory(itemData);
+      } else if (itemData.type === 'health') {
+        this.player.heal(50); // Heal 50%
+        GameEvents.emit(EVENT_TYPES.HEALTH_COLLECTED, itemData);
+      }
+    });
+
+    // Sample before the win/lose checks can end the attempt
+    this.telemetry.recordSample(this.state.gameTimer, this.player.mesh.position);
+
+    // Update game state (only checks win/lose now)
+    this.updateGameState(deltaTime);
+  }
+
+  // Pickups carry where the player was, so the server can check the item was within reach
+  recordPickupTelemetry(itemData) {
+    const position = this.player.mesh.position;
+    this.telemetry.recordSample(this.state.gameTimer, position, true);
+    this.telemetry.recordEvent('pickup', this.state.gameTimer, {
+      id: itemData.id,
+      item: itemData.type,
+      position: position.toArray().map(value => Math.round(value * 100) / 100)
+    });
+  }
+
+  // <<< ADD: Interpolate other players between received snapshots >>>
+  updateOtherPlayers() {
+    const renderTime = this.getServerTime() - this.remoteInterpolation.renderDelay;
+    
     Object.values(this.otherPlayers).forEach(otherPlayer => {
-       if (otherPlayer.mesh && otherPlayer.nameSprite) {
+       if (!otherPlayer.mesh) return;
+       if (otherPlayer.snapshots) {
+           otherPlayer.snapshots.sample(renderTime, otherPlayer.mesh.position, otherPlayer.mesh.quaternion);
+       }
+       if (otherPlayer.nameSprite) {
            otherPlayer.nameSprite.position.set(
                otherPlayer.mesh.position.x,
                otherPlayer.mesh.position.y + 2.5, // Keep offset consistent
@@ -237,10 +428,27 @@ export class Game {
     });
   }
   
+  // Current time on the server's clock (falls back to local time before the first timestamp)
+  getServerTime() {
+    return Date.now() + (this.serverTimeOffset || 0);
+  }
+  
+  updateServerTimeOffset(serverTime) {
+    if (!Number.isFinite(serverTime)) return;
+    const sample = serverTime - Date.now();
+    // Latency only ever makes samples smaller, so jump up to larger ones and drift down slowly
+    if (this.serverTimeOffset === null || sample > this.serverTimeOffset) {
+      this.serverTimeOffset = sample;
+    } else {
+      this.serverTimeOffset += (sample - this.serverTimeOffset) * 0.05;
+    }
+  }
+  
   updateGameState(deltaTime) {
     // <<< MODIFY: Calculate Depth from first platform surface (145.5) >>>
     const firstPlatformTopY = 145.5; // Platform center Y (145) + half height (0.5)
     this.state.depth = Math.max(0, firstPlatformTopY - this.player.mesh.position.y);
+    this.state.maxDepth = Math.max(this.state.maxDepth, this.state.depth);
 
     // <<< ADD: Update player health in game state >>>
     if (this.player && this.player.getHealthState) {
@@ -277,7 +485,9 @@ export class Game {
   }
   
   collectArtifact(artifactData) {
+    this.state.pickups.push({ type: 'artifact', time: this.state.gameTimer });
     this.state.artifacts++;
+    GameEvents.emit(EVENT_TYPES.ARTIFACT_COLLECTED, artifactData);
     // Apply artifact effect
     if (artifactData.effect) {
       this.applyArtifactEffect(artifactData.effect);
@@ -292,11 +502,14 @@ export class Game {
   }
   
   collectMemory(memoryData) {
+    this.state.pickups.push({ type: 'memory', time: this.state.gameTimer });
     this.state.memories++;
+    GameEvents.emit(EVENT_TYPES.MEMORY_COLLECTED, memoryData);
     // Add the full memory data to the collected list if not already present
     if (!this.state.collectedMemories.some(m => m.id === memoryData.id)) {
         this.state.collectedMemories.push(memoryData);
     }
+    Profile.addCollectedMemory(memoryData); // Kept in the memory log across sessions
     // <<< COMMENT OUT: Disable flashback UI >>>
     // this.ui.showMemoryFlashback(memoryData);
     // Play memory sound
@@ -328,41 +541,19 @@ export class Game {
     if (!this.isRunning) return; 
     this.isRunning = false;
     this.state.gameOverReason = reason;
+    this.renderer.setMouseLookEnabled(false);
     
-    // <<< IMPLEMENT NEW Score Calculation >>>
-    const BaseTimeScore = 10000;
-    const PenaltyPerSecond = 10;
-    const PointsPerArtifact = 1000;
-    const PointsPerMemory = 750;
-
-    const elapsedSeconds = this.state.gameTimer;
-    const numArtifacts = this.state.artifacts;
-    const numMemories = this.state.memories;
-
-    const TimeScore = Math.max(0, BaseTimeScore - (elapsedSeconds * PenaltyPerSecond));
-    const CollectibleScore = (numArtifacts * PointsPerArtifact) + (numMemories * PointsPerMemory);
-    const CalculatedScore = TimeScore + CollectibleScore;
-
-    this.state.finalScore = Math.floor(CalculatedScore); 
+    const score = this.calculateScore(false);
+    this.state.finalScore = score.total;
+    this.state.scoreBreakdown = score;
     
     // <<< ADD: Log before save call >>>
     console.log(`Calling saveHighScore from gameOver. Final score: ${this.state.finalScore}`);
 
-    // Save High Score (async but we don't need to wait here)
-    this.supabase.saveHighScore(
-      this.playerName, 
-      this.state.finalScore,
-      this.state.gameTimer, // Pass game time
-      this.state.artifacts  // Pass artifacts collected
-    ).catch(e => console.error("Failed to save high score on game over:", e)); 
-    
-    // <<< Fetch and display high scores >>>
-    this.supabase.getHighScores().then(scores => {
-        this.ui.showGameOver(this.state, scores); // Pass scores to UI
-    }).catch(e => {
-        console.error("Failed to get high scores for game over screen:", e);
-        this.ui.showGameOver(this.state, []); // Show screen even if fetch fails
-    });
+    this.submitScore(score, false);
+    
+    // Screen loads its own leaderboard tabs through fetchLeaderboard()
+    this.ui.showGameOver(this.state);
     
     this.audio.play('game_over');
     
@@ -385,7 +576,12 @@ export class Game {
       gameOverReason: null,
       gameWon: false,
       finalScore: 0,
-      scoreFromLastAttempt: null // <<< ENSURE RESET
+      scoreBreakdown: null,
+      scoreFromLastAttempt: null, // <<< ENSURE RESET
+      pickups: [],
+      maxDepth: 0,
+      maxFall: 0,
+      damageTaken: 0
     };
 
     // <<< Reset Player Stats >>>
@@ -400,7 +596,9 @@ export class Game {
     this.audio.stopMusic();
     
     // <<< SIMPLIFY: Reload level 0 directly, no transition >>>
-    await this.levelManager.loadLevel(0);
+    // Keep the same seed so a restart replays the same layout
+    await this.levelManager.loadLevel(0, { seed: this.levelManager.currentSeed });
+    this.renderer.setCollisionGrid(this.levelManager.collisionGrid);
     const newPosition = this.levelManager.getEntryPosition('start');
     this.player.setPosition(newPosition);
     this.levelManager.scene.add(this.player.mesh); // Re-add player to scene
@@ -411,7 +609,9 @@ export class Game {
     this.isPaused = false;
     this.isUserPaused = false;
     this.interactingNPC = null;
+    this.renderer.setMouseLookEnabled(true);
     this.clock.start();
+    this.startAttempt();
     this.update();
   }
 
@@ -420,14 +620,15 @@ export class Game {
     this.ui.hideDialogue();
     this.isPaused = false;
     this.interactingNPC = null;
-    this.input.clearInputState(); 
   }
 
   // <<< ADD: Toggle Pause Method
   togglePause() {
     this.isUserPaused = !this.isUserPaused;
+    this.renderer.setMouseLookEnabled(!this.isUserPaused); // Free the cursor for the menu
     if (this.isUserPaused) {
       this.clock.stop(); // Stop the clock to halt physics time
+      this.unstepped = { pressed: {}, released: {} }; // Presses used to open the menu don't carry over
       this.audio.pauseAudio(); // <<< Use new method
       this.ui.showPauseScreen(); // Show UI overlay
     } else {
@@ -437,6 +638,107 @@ export class Game {
     }
   }
 
+  // <<< ADD: Pause menu actions >>>
+  restartAttempt() {
+    if (this.isUserPaused) {
+      this.togglePause();
+    }
+    this.respawnPlayer('restart');
+    this.input.clearInputState();
+  }
+
+  openMemoryLog() {
+    this.ui.showMemoryLog(Profile.getCollectedMemories());
+  }
+
+  // Abandon the attempt and go back to the title screen; Start Game begins a fresh one
+  returnToTitle() {
+    if (!this.isRunning) return;
+    this.isRunning = false; // Stops the loop until the game is started again
+    this.isUserPaused = false;
+    this.ui.hidePauseScreen();
+    this.audio.resumeAudio();
+    this.audio.stopMusic();
+    this.audio.stopAllLoops();
+    this.runRecorder.stop(); // Abandoned attempts aren't kept as replays
+    this.resetToStart();
+    this.showTitleScreen();
+  }
+
+  showTitleScreen() {
+    this.ui.showInitialHighScores(); // Loads its leaderboard through fetchLeaderboard()
+  }
+
+  /**
+   * Fetch a leaderboard page for the UI, along with where the local player stands on that board
+   * @param {Object} [options]
+   * @param {string} [options.period='all'] - 'all', 'daily' or 'weekly'
+   * @param {boolean} [options.perSeed=false] - Only scores on the current level layout
+   * @param {number} [options.page=0] - Zero-based page index
+   * @returns {Promise<Object>} getLeaderboard() result plus `playerRank` (see getPlayerRank()) and `playerName`
+   */
+  async fetchLeaderboard({ period = 'all', perSeed = false, page = 0 } = {}) {
+    const filters = { period, seed: perSeed ? this.levelManager?.currentSeed : null };
+    const [board, playerRank] = await Promise.all([
+      this.leaderboard.getLeaderboard({ ...filters, page }),
+      this.leaderboard.getPlayerRank(this.playerName, filters)
+    ]);
+    return { ...board, playerRank, playerName: this.playerName };
+  }
+
+  /**
+   * Switch the movement scheme and remember it for next time
+   * @param {string} scheme - 'tank' (A/D turn) or 'strafe' (WASD relative to the camera)
+   * @param {Object} [options]
+   * @param {boolean} [options.persist=true] - Save the choice to the profile
+   */
+  setMovementScheme(scheme, { persist = true } = {}) {
+    this.player.setMovementScheme(scheme);
+    this.renderer.setFollowHeading(this.player.movementScheme === 'tank');
+    if (persist) {
+      Profile.updateSettings({ movementScheme: this.player.movementScheme });
+    }
+  }
+
+  getSettings() {
+    return Profile.getSettings();
+  }
+
+  /**
+   * Change settings, apply them straight away and save them to the profile
+   * @param {Object} changes - Settings to overwrite (keys from DEFAULT_SETTINGS)
+   */
+  updateSettings(changes) {
+    Profile.updateSettings(changes);
+    this.applySettings(Profile.getSettings());
+  }
+
+  resetSettings() {
+    this.updateSettings(DEFAULT_SETTINGS);
+  }
+
+  // Push settings out to the systems that use them
+  applySettings(settings) {
+    this.audio.setMasterVolume(settings.masterVolume);
+    this.audio.setSoundVolume(settings.soundVolume);
+    this.audio.setMusicVolume(settings.musicVolume);
+
+    this.renderer.setGraphicsSettings({
+      shadowQuality: settings.shadowQuality,
+      pixelRatioCap: settings.pixelRatioCap,
+      fogDistance: settings.fogDistance
+    });
+    this.renderer.setLookSettings({
+      sensitivity: settings.cameraSensitivity,
+      invertY: settings.invertControls
+    });
+
+    this.ui.setHudVisibility(settings);
+    if (this.player) {
+      this.setMovementScheme(settings.movementScheme, { persist: false });
+    }
+  }
+
   // <<< MODIFY: Check Win Condition >>>
   checkWinCondition() {
     // Win condition is now simply interacting with the Guardian after spawning
@@ -450,31 +752,22 @@ export class Game {
             `Something seems incomplete...`,
             [{ text: "(Leave)", callback: () => this.unpauseAndEndDialogue() }]
         );
-        this.input.clearInputState();
     }
   }
 
-  // <<< ADD: Reusable Score Calculation Method >>>
-  calculateScore(isWin = false) { // <<< ADD isWin parameter
-    const BaseTimeScore = 10000;
-    const PenaltyPerSecond = 10;
-    const PointsPerArtifact = 1000; // <<< INCREASED from 500
-    const PointsPerMemory = 750;   // <<< INCREASED from 250
-    const WinBonus = 1000; // <<< ADD Win Bonus constant
-
-    const elapsedSeconds = this.state.gameTimer;
-    const numArtifacts = this.state.artifacts;
-    const numMemories = this.state.memories;
-
-    const TimeScore = Math.max(0, BaseTimeScore - (elapsedSeconds * PenaltyPerSecond));
-    const CollectibleScore = (numArtifacts * PointsPerArtifact) + (numMemories * PointsPerMemory);
-    let CalculatedScore = TimeScore + CollectibleScore;
-
-    if (isWin) {
-        CalculatedScore += WinBonus;
-    }
-
-    return Math.floor(CalculatedScore);
+  /**
+   * Score the current attempt
+   * @param {boolean} [completed=false] - Whether the attempt reached the end (adds the win bonus)
+   * @returns {{total: number, lines: Array}} Total and itemized breakdown from scoreRun()
+   */
+  calculateScore(completed = false) {
+    return scoreRun({
+      time: this.state.gameTimer,
+      pickups: this.state.pickups,
+      completed,
+      maxDepth: this.state.maxDepth,
+      damageTaken: this.state.damageTaken
+    });
   }
 
   gameWon() {
@@ -486,8 +779,9 @@ export class Game {
     // this.isRunning = false; 
     this.state.gameWon = true; // Keep track that a win occurred if needed
     
-    // <<< USE Reusable Score Calculation >>>
-    this.state.finalScore = this.calculateScore(true); // Pass true for win bonus
+    const score = this.calculateScore(true);
+    this.state.finalScore = score.total;
+    this.state.scoreBreakdown = score;
       
     // <<< CLEAR last attempt score on win (still good practice) >>>
     this.state.scoreFromLastAttempt = null; 
@@ -495,17 +789,11 @@ export class Game {
     // <<< ADD: Log before save call >>>
     console.log(`Calling saveHighScore from gameWon. Final score: ${this.state.finalScore}`);
 
-    // Save High Score (async but we don't need to wait here)
-    this.supabase.saveHighScore(
-      this.playerName, 
-      this.state.finalScore,
-      this.state.gameTimer, // Pass game time
-      this.state.artifacts  // Pass artifacts collected
-    ).catch(e => console.error("Failed to save high score on game won:", e)); 
+    this.submitScore(score, true);
     
     // <<< REMOVE: Fetching scores and showing win UI >>>
     /*
-    this.supabase.getHighScores().then(scores => {
+    this.leaderboard.getHighScores().then(scores => {
         this.ui.showGameWon(this.state, scores); // Pass scores to UI
     }).catch(e => {
         console.error("Failed to get high scores for game won screen:", e);
@@ -520,90 +808,296 @@ export class Game {
 
     // <<< ADD: Immediately respawn, passing the score >>>
     console.log("Game won, triggering respawn...");
-    this.respawnPlayer('win', this.state.finalScore); 
+    this.respawnPlayer('win', score); 
   }
 
   // <<< MODIFY: Player Respawn Logic >>>
-  respawnPlayer(reason = 'unknown', scoreToDisplay = null) { // <<< ADD scoreToDisplay parameter
+  // score: breakdown already calculated for this attempt (the win path); scored here otherwise
+  respawnPlayer(reason = 'unknown', score = null) {
     if (!this.player || !this.initialPlayerPosition) {
       console.error("Cannot respawn: Player or initial position missing. Triggering full game over.");
       this.gameOver('respawn_error');
       return;
     }
 
-    // <<< MODIFY: Calculate score only if not provided >>>
-    let finalScoreForDisplay;
-    if (scoreToDisplay !== null) {
-        finalScoreForDisplay = scoreToDisplay;
-    } else {
-        // Calculate score only if needed (e.g., for 'fall' reason without pre-calculated score)
-        finalScoreForDisplay = (() => {
-            const BaseTimeScore = 10000;
-            const PenaltyPerSecond = 10;
-            const PointsPerArtifact = 1000; 
-            const PointsPerMemory = 750;   
-            const elapsedSeconds = this.state.gameTimer;
-            const numArtifacts = this.state.artifacts;
-            const numMemories = this.state.memories;
-            const TimeScore = Math.max(0, BaseTimeScore - (elapsedSeconds * PenaltyPerSecond));
-            const CollectibleScore = (numArtifacts * PointsPerArtifact) + (numMemories * PointsPerMemory);
-            return Math.floor(TimeScore + CollectibleScore);
-        })();
+    if (!score) {
+        score = this.calculateScore(false);
     }
+    const finalScoreForDisplay = score.total;
 
     // Store the score that will be displayed (might be from win or fall)
     this.state.scoreFromLastAttempt = finalScoreForDisplay; 
+    this.state.scoreBreakdown = score;
+    const previousStats = Profile.getStats(); // Personal bests before this attempt counts
+    
+    // Close out the recording of this attempt (winning runs may become the new ghost)
+    this.finishAttempt(reason === 'win', finalScoreForDisplay);
+    Profile.recordAttempt({
+      completed: reason === 'win',
+      died: reason === 'fall' || reason === 'health',
+      time: this.state.gameTimer,
+      score: finalScoreForDisplay,
+      artifacts: this.state.artifacts,
+      memories: this.state.memories,
+      maxFallDistance: this.player.maxFallDistanceThisSession
+    });
 
     // <<< MODIFY: Save score based on calculated value if reason is 'fall' OR 'health' >>>
     if (reason === 'fall' || reason === 'health') { 
-        const timerBeforeReset = this.state.gameTimer;
-        const artifactsBeforeReset = this.state.artifacts;
-        // Use finalScoreForDisplay which was calculated above if scoreToDisplay was null
-        console.log(`Saving score ${finalScoreForDisplay} from reason '${reason}'. Time: ${timerBeforeReset}, Artifacts: ${artifactsBeforeReset}`);
-        this.supabase.saveHighScore(
-            this.playerName,
-            finalScoreForDisplay, 
-            timerBeforeReset, 
-            artifactsBeforeReset
-        ).catch(e => console.error("Failed to save high score on respawn:", e));
+        console.log(`Saving score ${finalScoreForDisplay} from reason '${reason}'. Time: ${this.state.gameTimer}, Artifacts: ${this.state.artifacts}`);
+        this.submitScore(score, false);
     }
 
     // Log the score for debugging
     console.log(`Player Respawning... Reason: ${reason}, Previous Score: ${finalScoreForDisplay}`);
 
-    // <<< MODIFY: Use player's internal reset method >>>
-    this.player.resetForRespawn();
+    // Finished runs get the results screen; restarting from the pause menu goes straight back in
+    if (reason === 'win' || reason === 'fall' || reason === 'health') {
+      this.showResults(reason, score, previousStats);
+    } else {
+      this.beginNextAttempt();
+    }
+  }
 
-    // <<< ADD: Reset Game State for the NEW attempt >>>
-    this.state.gameTimer = 0;
-    this.state.artifacts = 0;
-    this.state.memories = 0;
-    this.state.collectedMemories = [];
-    this.levelManager?.resetCollectibles(); // Reset items in the level
+  /**
+   * Stop play and show the end-of-run results. The next attempt starts from dismissResults().
+   * @param {string} reason - 'win', 'fall' or 'health'
+   * @param {Object} score - Breakdown from calculateScore()
+   * @param {Object} previousStats - Profile stats from before this attempt was recorded
+   */
+  showResults(reason, score, previousStats) {
+    this.isShowingResults = true;
+    this.renderer.setMouseLookEnabled(false); // Free the cursor for the buttons
+    this.audio.stopAllLoops();
+    this.input.clearInputState();
 
-    // Move player back to start
-    this.player.setPosition(this.initialPlayerPosition);
+    const countItems = type => this.levelManager.collectibles.filter(item => item.type === type).length;
+    const completed = reason === 'win';
+    const results = {
+      reason,
+      score,
+      time: this.state.gameTimer,
+      maxFall: this.state.maxFall,
+      damageTaken: this.state.damageTaken,
+      artifacts: { collected: this.state.artifacts, total: countItems('artifact') },
+      memories: { collected: this.state.memories, total: countItems('memory') },
+      personalBest: {
+        score: previousStats.bestScore,
+        time: previousStats.bestTime,
+        isNewBestScore: score.total > previousStats.bestScore,
+        isNewBestTime: completed && (previousStats.bestTime === null || this.state.gameTimer < previousStats.bestTime)
+      },
+      seed: this.levelManager.currentSeed,
+      canReplay: !!this.lastRun
+    };
+    this.ui.showResults(results);
+
+    // Rank arrives after the screen is up (or never, without a leaderboard). Scores sent to the
+    // game server get theirs back with its verdict in handleScoreResult()
+    if (this.awaitingScoreRunId) return;
+    this.leaderboard.getScoreRank(score.total).then(rank => {
+      if (this.isShowingResults) this.ui.updateResultsRank(rank);
+    }).catch(e => console.error("Failed to get leaderboard rank:", e));
+  }
+
+  /**
+   * Submit this attempt's score. Shared leaderboards only take scores through the game server,
+   * which checks the claim against the run's telemetry; the claim is queued with the telemetry
+   * the server hasn't seen yet and sent whenever the socket is connected (up to MAX_RUN_SENDS
+   * times). A leaderboard kept in this browser only is written directly and involves no server.
+   * @param {Object} score - Breakdown from calculateScore()
+   * @param {boolean} completed - Whether the player reached the bottom
+   */
+  submitScore(score, completed) {
+    this.telemetry.recordSample(this.state.gameTimer, this.player.mesh.position, true);
+    this.awaitingScoreRunId = null;
+
+    if (!this.leaderboard.isShared) {
+      // Save High Score (async but we don't need to wait here)
+      this.leaderboard.saveHighScore(
+        this.playerName,
+        score.total,
+        this.state.gameTimer,
+        this.state.artifacts,
+        this.levelManager.currentSeed
+      ).catch(e => console.error("Failed to save high score:", e));
+      return;
+    }
+
+    if (!this.telemetry.isVerifiable) {
+      this.ui.showTemporaryMessage("Too long offline to verify this run; it won't reach the online leaderboard", 3000);
+      return;
+    }
+
+    const runId = this.telemetry.runId;
+    this.pendingRuns.push({
+      runId,
+      seed: this.telemetry.seed,
+      telemetry: this.telemetry.takeBatch() || { samples: [], events: [] },
+      claim: {
+        name: this.playerName,
+        score: score.total,
+        time: this.state.gameTimer,
+        completed,
+        damageTaken: this.state.damageTaken,
+        artifacts: this.state.artifacts,
+        seed: this.levelManager.currentSeed
+      },
+      sends: 0
+    });
+    if (this.network?.status === 'connected' && this.clientId) {
+      this.awaitingScoreRunId = runId;
+    }
+    this.sendPendingRuns();
+  }
 
-    // Briefly show a message via UI
-    this.ui.showTemporaryMessage("Respawning...", 2000); // Simpler message
+  /**
+   * Close the results screen
+   * @param {string} [next='retry'] - 'retry' starts the next attempt, 'replay' watches the run first
+   */
+  dismissResults(next = 'retry') {
+    if (!this.isShowingResults) return;
+    this.isShowingResults = false;
+    this.ui.hideResults();
+    this.clock.start(); // Don't count the time spent on the screen as a frame
+
+    if (next === 'replay' && this.lastRun) {
+      this.renderer.setMouseLookEnabled(true);
+      this.startReplay(this.lastRun); // Closing the viewer starts a fresh attempt
+    } else {
+      this.beginNextAttempt();
+    }
+  }
 
-    // <<< MODIFY: Show the final score (passed or calculated) >>>
-    setTimeout(() => {
-        this.ui?.showTemporaryMessage(`Previous Score: ${finalScoreForDisplay}`, 3000);
-    }, 2000); // Delay slightly longer than the first message
+  // Put the player back at the start and begin recording a new attempt
+  beginNextAttempt() {
+    this.resetToStart();
+    this.startAttempt();
+    this.ui.showTemporaryMessage("Respawning...", 2000);
 
     // Ensure game continues running
     this.isRunning = true;
     this.isPaused = false;
     this.isUserPaused = false;
+    this.renderer.setMouseLookEnabled(true);
 
     // Optional: Add a small visual/audio cue for respawn
     this.audio.play('player_respawn'); // Assuming you have a sound named 'player_respawn'
+  }
+
+  // <<< ADD: Begin recording a new attempt and bring out the ghost for this seed >>>
+  startAttempt() {
+    // The recording and telemetry are stamped with the run clock, which has to start from zero
+    // for the server to accept the run
+    if (this.state.gameTimer !== 0 || this.state.pickups.length > 0) {
+      console.warn("startAttempt() called on an attempt in progress; resetting it first.");
+      this.resetToStart();
+    }
+
+    const seed = this.levelManager.currentSeed;
+    this.runRecorder.start(seed);
+    // Only a shared leaderboard needs the game server to check runs
+    if (this.leaderboard.isShared) {
+      this.telemetry.start(seed);
+      this.announceRun();
+    }
+    
+    if (this.ghost && this.ghost.run.seed !== seed) {
+      this.ghost.dispose();
+      this.ghost = null;
+    }
+    if (!this.ghost) {
+      const bestRun = Storage.loadGhostRun(seed);
+      if (bestRun && bestRun.seed === seed) {
+        this.ghost = new Ghost(bestRun);
+      }
+    }
+    if (this.ghost) {
+      this.ghost.reset();
+      this.levelManager.scene.add(this.ghost.mesh); // No-op move if already in the scene
+    }
+  }
+  
+  // <<< ADD: Stop recording; keep the fastest completed run per seed as the ghost >>>
+  finishAttempt(completed, score) {
+    const run = this.runRecorder.stop({ completed, score });
+    if (!run) return;
+    this.lastRun = run;
+    
+    if (!completed) return;
+    const bestRun = Storage.loadGhostRun(run.seed);
+    if (!bestRun || run.duration < bestRun.duration) {
+      Storage.saveGhostRun(run.seed, run);
+      console.log(`New best run on seed ${run.seed}: ${run.duration.toFixed(2)}s`);
+      if (this.ghost) {
+        this.ghost.dispose();
+        this.ghost = null; // Reloaded from storage on the next startAttempt()
+      }
+    }
+  }
 
-    // <<< ADD: Reset player health on respawn >>>
-    if (this.player && this.player.maxHealth) {
-      this.player.currentHealth = this.player.maxHealth;
+  // <<< ADD: Feed gameplay events into the run recorder >>>
+  setupRunEventRecording() {
+    const recorder = this.runRecorder;
+    GameEvents.on(EVENT_TYPES.PLAYER_JUMP, () => recorder.recordEvent('jump'));
+    GameEvents.on(EVENT_TYPES.PLAYER_LAND, ({ fallDistance }) => {
+      if (fallDistance > 5) { // Only mark real drops, not every hop
+        recorder.recordEvent('fall', { distance: Math.round(fallDistance * 10) / 10 });
+      }
+    });
+    GameEvents.on(EVENT_TYPES.PLAYER_DAMAGE, ({ amount }) => recorder.recordEvent('damage', { amount }));
+    const recordPickup = (itemData) => recorder.recordEvent('pickup', { id: itemData.id, item: itemData.type });
+    GameEvents.on(EVENT_TYPES.ARTIFACT_COLLECTED, recordPickup);
+    GameEvents.on(EVENT_TYPES.MEMORY_COLLECTED, recordPickup);
+    GameEvents.on(EVENT_TYPES.HEALTH_COLLECTED, recordPickup);
+  }
+  
+  // <<< ADD: Open the replay viewer (defaults to the most recent attempt) >>>
+  async startReplay(run = this.lastRun) {
+    if (!run) {
+      this.ui.showTemporaryMessage("No run recorded yet", 2000);
+      return;
     }
+    if (this.isUserPaused) {
+      this.togglePause(); // Leave the pause screen behind
+    }
+    this.runRecorder.stop(); // The live attempt is abandoned
+    this.ghost?.dispose();
+    this.ghost = null;
+    this.input.clearInputState();
+    await this.replayViewer.open(run);
+  }
+  
+  // <<< ADD: Rebuild the live level after the replay viewer closes >>>
+  async returnFromReplay(seed) {
+    await this.levelManager.loadLevel(0, { seed });
+    this.renderer.setCollisionGrid(this.levelManager.collisionGrid);
+    this.initialPlayerPosition = this.levelManager.getEntryPosition('start');
+    this.levelManager.scene.add(this.player.mesh);
+    Object.values(this.otherPlayers).forEach(otherPlayer => {
+      if (otherPlayer.mesh) this.levelManager.scene.add(otherPlayer.mesh);
+      if (otherPlayer.nameSprite) this.levelManager.scene.add(otherPlayer.nameSprite);
+    });
+    
+    // Fresh attempt from the start
+    this.resetToStart();
+    this.startAttempt();
+  }
+
+  // Put the player back at the start of the level with an empty attempt
+  resetToStart() {
+    this.player.resetForRespawn();
+    this.player.setPosition(this.initialPlayerPosition);
+    this.state.gameTimer = 0;
+    this.state.artifacts = 0;
+    this.state.memories = 0;
+    this.state.collectedMemories = [];
+    this.state.pickups = [];
+    this.state.maxDepth = 0;
+    this.state.maxFall = 0;
+    this.state.damageTaken = 0;
+    this.levelManager.resetCollectibles();
+    this.input.clearInputState();
   }
 
   // <<< ADD: Send player state to server >>>
@@ -619,6 +1113,49 @@ export class Game {
     
     this.network.send('playerStateUpdate', stateToSend);
   }
+
+  // <<< ADD: Tell the server which run the telemetry belongs to >>>
+  // Also sent on (re)connect unless the resumed session already has it
+  announceRun() {
+    if (!this.clientId || this.network?.status !== 'connected' || !this.telemetry.runId) return;
+    if (this.announcedRunIds.has(this.telemetry.runId)) return;
+    this.network.send('runStart', {
+      runId: this.telemetry.runId,
+      seed: this.telemetry.seed,
+      time: this.state.gameTimer
+    });
+    this.announcedRunIds.add(this.telemetry.runId);
+  }
+
+  // <<< ADD: Send finished runs to the server; they stay queued until it answers >>>
+  // Safe to resend: the server keeps runs by id and answers again for one it has scored.
+  // A run still unanswered after MAX_RUN_SENDS sends is dropped (that server may not check runs at all)
+  sendPendingRuns() {
+    if (!this.leaderboard.isShared || !this.clientId || this.network?.status !== 'connected') return;
+    this.pendingRuns.remove(run => {
+      if ((run.sends || 0) < MAX_RUN_SENDS) return false;
+      console.warn(`No answer from the server for run ${run.runId}; dropping it.`);
+      return true;
+    });
+    this.pendingRuns.update(run => ({ ...run, sends: (run.sends || 0) + 1 }));
+    this.pendingRuns.load().forEach(({ runId, seed, telemetry, claim }) => {
+      if (!this.announcedRunIds.has(runId)) {
+        this.network.send('runStart', { runId, seed, time: claim.time });
+        this.announcedRunIds.add(runId);
+      }
+      this.network.send('runTelemetry', { runId, seed, ...telemetry });
+      this.network.send('submitScore', { runId, ...claim });
+    });
+  }
+
+  // <<< ADD: Send telemetry recorded since the last batch (kept while disconnected) >>>
+  sendRunTelemetry() {
+    if (!this.clientId || this.network?.status !== 'connected') return;
+    const batch = this.telemetry.takeBatch();
+    if (batch) {
+      this.network.send('runTelemetry', batch);
+    }
+  }
   
   // <<< ADD: Send Chat Message >>>
   sendChatMessage(message) {
@@ -630,20 +1167,76 @@ export class Game {
       console.warn("Cannot send empty or too long chat message.");
       return;
     }
-    // Basic sanitization (can be improved)
-    const sanitizedMessage = message.replace(/</g, "&lt;").replace(/>/g, "&gt;");
-    
-    this.network.send('chatMessage', { text: sanitizedMessage });
+    // The server strips markup before relaying, and the chat box only renders text
+    this.network.send('chatMessage', { text: message });
     // Optionally display own message immediately
-    this.ui.showChatMessage(this.playerName, sanitizedMessage); // Use full name locally
+    this.ui.showChatMessage(this.playerName, message); // Use full name locally
   }
 
   // <<< ADD: Handlers for Network Messages >>>
-  setClientId(id) {
+  setClientId(id, { resumed = false } = {}) {
      this.clientId = id;
      console.log(`Game received Client ID: ${id}`);
+     // A fresh session knows none of our runs; a resumed one kept those announced before the drop
+     if (!resumed) this.announcedRunIds.clear();
+     // Announce name, position and runs right away (matters most after a reconnect). Finished
+     // runs go first so they're judged before the live attempt's telemetry resumes
+     this.sendPlayerState();
+     this.sendPendingRuns();
+     this.announceRun();
+     this.sendRunTelemetry();
+     this.lastNetworkUpdate = performance.now();
   }
   
+  // <<< ADD: Forward connection status to the HUD indicator >>>
+  handleConnectionStatus(status, details = {}) {
+     this.ui?.updateConnectionStatus(status, details);
+  }
+  
+  // <<< ADD: Server-owned level seed >>>
+  handleLevelSeed({ seed, serverTime }) {
+    this.updateServerTimeOffset(serverTime);
+    this.isLevelServerControlled = true;
+    this.timeSinceLastRegen = 0;
+    if (seed && seed !== this.levelManager.currentSeed) {
+      console.log(`Switching to server level seed: ${seed}`);
+      // Everyone on the server shares one layout, so a ?seed= link only applies offline
+      if (this.urlSeed && seed !== this.urlSeed) {
+        this.ui?.showTemporaryMessage(`Joined the server's shared layout. Seed "${this.urlSeed}" is only used while offline.`, 6000);
+      }
+      this.regenerateLevel(seed);
+    }
+  }
+
+  handleRegenerate({ seed }) {
+    this.isLevelServerControlled = true;
+    this.regenerateLevel(seed);
+  }
+
+  // <<< ADD: Server's verdict on a submitted score >>>
+  handleScoreResult({ runId, accepted, reason, rank }) {
+    if (!this.leaderboard.isShared) return; // Nothing was sent for a leaderboard kept in this browser
+    this.pendingRuns.remove(run => run.runId === runId); // Answered either way; rejections won't pass on a retry
+    if (!accepted) {
+      console.warn(`Score rejected by the server: ${reason}`);
+      this.ui.showTemporaryMessage("Score not accepted by the server", 3000);
+    }
+    if (runId !== this.awaitingScoreRunId) return;
+    this.awaitingScoreRunId = null;
+    if (!this.isShowingResults) return;
+
+    if (!accepted) {
+      this.ui.updateResultsRank(null);
+    } else if (rank) {
+      this.ui.updateResultsRank(rank);
+    } else {
+      // The server couldn't rank it (e.g. it writes to Supabase); ask the leaderboard
+      this.leaderboard.getScoreRank(this.state.scoreBreakdown?.total ?? 0).then(boardRank => {
+        if (this.isShowingResults) this.ui.updateResultsRank(boardRank);
+      }).catch(e => console.error("Failed to get leaderboard rank:", e));
+    }
+  }
+
   handleWorldState(playersData) {
     console.log("Received initial world state:", playersData);
     // Clear existing other players
@@ -669,15 +1262,18 @@ export class Game {
     this.removeOtherPlayer(playerId);
   }
   
-  handlePlayerUpdate(playerId, state) {
+  handlePlayerUpdate(playerId, state, serverTime = null) {
     const otherPlayer = this.otherPlayers[playerId];
     if (otherPlayer && otherPlayer.mesh && state) {
-       // Directly set position and rotation for now (consider interpolation later)
+       // Buffer the snapshot; updateOtherPlayers() moves the mesh each frame
+       this.updateServerTimeOffset(serverTime);
        if (state.position) {
-          otherPlayer.mesh.position.fromArray(state.position);
-       }
-       if (state.rotation) {
-          otherPlayer.mesh.quaternion.fromArray(state.rotation);
+          const snapshotTime = Number.isFinite(serverTime) ? serverTime : this.getServerTime();
+          const position = new THREE.Vector3().fromArray(state.position);
+          const quaternion = state.rotation
+              ? new THREE.Quaternion().fromArray(state.rotation)
+              : otherPlayer.mesh.quaternion;
+          otherPlayer.snapshots.push(snapshotTime, position, quaternion);
        }
        // <<< Update name if included and different >>>
        const receivedName = state.name || `Player_${playerId.substring(0,4)}`;
@@ -689,14 +1285,6 @@ export class Game {
            }
        }
        otherPlayer.state = state; // Store latest full state
-       // <<< Update name sprite position >>>
-       if (otherPlayer.nameSprite) {
-           otherPlayer.nameSprite.position.set(
-               otherPlayer.mesh.position.x,
-               otherPlayer.mesh.position.y + 2.5, // Adjust offset as needed
-               otherPlayer.mesh.position.z
-           );
-       }
     } else if (!otherPlayer) {
       // Could potentially queue the update or request the player's full data if join message was missed
       console.warn(`Received update for unknown player ID: ${playerId}`);
@@ -717,10 +1305,14 @@ export class Game {
 
   handleDisconnect() {
       console.warn("Disconnected from server.");
+      // Fall back to the local regeneration timer while offline
+      this.isLevelServerControlled = false;
+      this.timeSinceLastRegen = 0;
+      this.awaitingScoreRunId = null; // Any verdict was lost with the connection (the run is resent on reconnect)
       // Clear other players on disconnect
       Object.keys(this.otherPlayers).forEach(id => this.removeOtherPlayer(id));
       // Optionally show a UI message
-      this.ui?.showTemporaryMessage("Disconnected from server", 5000);
+      this.ui?.showTemporaryMessage("Disconnected from server. Reconnecting...", 5000);
   }
   
   // <<< ADD: Helper methods for managing other player visuals >>>
@@ -731,9 +1323,7 @@ export class Game {
       }
       const playerName = playerData.name || `Player_${playerData.id.substring(0, 4)}`; 
       
-      const geometry = new THREE.CapsuleGeometry(0.5, 1.5, 4, 8);
-      const material = new THREE.MeshStandardMaterial({ color: 0xff6633 }); 
-      const mesh = new THREE.Mesh(geometry, material);
+      const mesh = createPlayerCapsule({ color: 0xff6633 });
       mesh.position.set(0, -100, 0); 
       const initialState = playerData.state || {};
       if (initialState.position) {
@@ -753,11 +1343,17 @@ export class Game {
 
       this.levelManager.scene.add(mesh);
       this.levelManager.scene.add(nameSprite); 
+      const snapshots = new SnapshotBuffer(this.remoteInterpolation);
+      if (initialState.position) {
+          snapshots.push(this.getServerTime(), mesh.position, mesh.quaternion);
+      }
+
       this.otherPlayers[playerData.id] = {
           mesh: mesh,
           nameSprite: nameSprite, 
           state: initialState,
-          name: playerName 
+          name: playerName,
+          snapshots: snapshots
       };
       console.log(`Added visual for player ${playerName} (${playerData.id})`);
   }
@@ -863,22 +1459,38 @@ export class Game {
    }
 
   // <<< ADD: Map Regeneration Logic >>>
-  async regenerateLevel() {
+  // seed: layout to build (from the server); a random one is picked when omitted
+  async regenerateLevel(seed = undefined) {
+    // Don't tear down the replay's level; switch to the new layout once the viewer closes
+    if (this.replayViewer.isActive) {
+      if (seed) this.replayViewer.previousSeed = seed;
+      return;
+    }
     console.log(`Map regeneration triggered after ${this.timeSinceLastRegen / 1000} seconds.`);
     this.ui?.showTemporaryMessage("Regenerating level...", 3000);
     
     // Reset timer immediately
     this.timeSinceLastRegen = 0;
     
-    // Clear visual representation of other players (as their positions are relative to the old map)
-    Object.keys(this.otherPlayers).forEach(id => this.removeOtherPlayer(id));
-    this.otherPlayers = {}; // Reset the cache
+    if (!this.isLevelServerControlled) {
+      // Clear visual representation of other players (as their positions are relative to a different map)
+      Object.keys(this.otherPlayers).forEach(id => this.removeOtherPlayer(id));
+      this.otherPlayers = {}; // Reset the cache
+    }
     
     // Stop current music maybe?
     this.audio.stopMusic(); 
     
     // Reload level 0 (which handles clearing old scene objects)
-    await this.levelManager.loadLevel(0);
+    await this.levelManager.loadLevel(0, { seed });
+    this.renderer.setCollisionGrid(this.levelManager.collisionGrid);
+    
+    // Everyone regenerated with the same seed, so keep other players and move them into the new scene
+    Object.values(this.otherPlayers).forEach(otherPlayer => {
+      otherPlayer.snapshots?.clear(); // Buffered positions belong to the old layout
+      if (otherPlayer.mesh) this.levelManager.scene.add(otherPlayer.mesh);
+      if (otherPlayer.nameSprite) this.levelManager.scene.add(otherPlayer.nameSprite);
+    });
     
     // Get the new start position from the reloaded level
     // Use the specific playerStart from level definition, not necessarily the first platform
@@ -896,6 +1508,14 @@ export class Game {
         this.player.velocity.set(0,0,0);
     }
     
+    // The old attempt doesn't match the new layout - start over on the new seed with a fresh
+    // clock, items and damage, or its score would mix both layouts
+    if (this.isRunning) {
+      this.runRecorder.stop();
+      this.resetToStart();
+      this.startAttempt();
+    }
+    
     // Restart music
     this.audio.playMusic('surface', { volume: 0.4 });
     
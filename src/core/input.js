@@ -1,3 +1,100 @@
+import { GameEvents, EVENT_TYPES } from '../utils/events.js';
+import { Profile } from '../utils/profile.js';
+
+// Rebindable actions and the names shown for them in menus
+export const INPUT_ACTION_LABELS = {
+  forward: 'Forward',
+  backward: 'Backward',
+  left: 'Turn / Strafe Left',
+  right: 'Turn / Strafe Right',
+  jump: 'Jump',
+  down: 'Down',
+  interact: 'Interact',
+  action: 'Use Ability',
+  lookDown: 'Look Down',
+  pause: 'Pause'
+};
+
+export const MAX_BINDINGS_PER_ACTION = 2;
+
+export const DEFAULT_KEY_BINDINGS = {
+  forward: ['w', 'ArrowUp'],
+  backward: ['s', 'ArrowDown'],
+  left: ['a', 'ArrowLeft'],
+  right: ['d', 'ArrowRight'],
+  jump: [' '],
+  down: ['z'],
+  interact: ['e'],
+  action: ['f'],
+  lookDown: ['c'],
+  pause: ['p']
+};
+
+/**
+ * Normalize a KeyboardEvent.key so Shift/Caps Lock don't change the binding
+ * @param {string} key - KeyboardEvent.key
+ * @returns {string} Normalized key
+ */
+export function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Readable name for a key, for menus and prompts
+ * @param {string} key - Normalized key
+ * @returns {string} Display name
+ */
+export function formatKeyName(key) {
+  const names = {
+    ' ': 'Space',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→'
+  };
+  if (names[key]) return names[key];
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+// Gamepad button indices for the W3C "standard" layout (Xbox naming)
+const STANDARD_GAMEPAD_BUTTONS = {
+  0: 'jump',      // A
+  1: 'action',    // B
+  2: 'interact',  // X
+  6: 'lookDown',  // Left trigger
+  9: 'pause',     // Start
+  12: 'forward',  // D-pad
+  13: 'backward',
+  14: 'left',
+  15: 'right'
+};
+
+// Unknown layouts only get the buttons that are nearly always in the same place
+const FALLBACK_GAMEPAD_BUTTONS = {
+  0: 'jump',
+  1: 'action',
+  2: 'interact',
+  9: 'pause'
+};
+
+const TOUCH_JOYSTICK_DEAD_ZONE = 0.15;
+
+/**
+ * Radial dead zone, rescaled so output still ramps smoothly from 0 to 1
+ * @param {number} x - Horizontal deflection
+ * @param {number} y - Vertical deflection
+ * @param {number} deadZone - Deflection below which input is ignored
+ * @returns {{x: number, y: number}} Adjusted deflection
+ */
+function applyRadialDeadZone(x, y, deadZone) {
+  const magnitude = Math.hypot(x, y);
+  if (magnitude < deadZone) {
+    return { x: 0, y: 0 };
+  }
+  const scaled = Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+  return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+}
+
 export class InputManager {
   constructor() {
     this.keys = {};
@@ -10,37 +107,47 @@ export class InputManager {
       down: false,
       action: false,
       interact: false,
+      lookDown: false,
       pause: false
     };
     
     // Track active touches on buttons
     this.activeTouches = {}; // Store touch identifiers mapped to action names
     
+    // Floating joystick (left side) and swipe-to-look area (right side)
+    this.joystick = { touchId: null, originX: 0, originY: 0, x: 0, y: 0, zone: null };
+    this.lookTouch = { touchId: null, lastX: 0, lastY: 0 };
+    this.touchLookDelta = { x: 0, y: 0 }; // Pixels swiped since the last poll
+    this.isUsingTouch = false; // Last input came from a touch screen (for haptics)
+    this.hapticsEnabled = true;
+    
     // Reference to chat input
     this.chatInputElement = null;
     
-    // Key mappings (can be customized later)
-    this.keyMappings = {
-      'w': 'forward',
-      'ArrowUp': 'forward',
-      's': 'backward',
-      'ArrowDown': 'backward',
-      'a': 'left',
-      'ArrowLeft': 'left',
-      'd': 'right',
-      'ArrowRight': 'right',
-      ' ': 'jump',
-      'z': 'down',
-      'e': 'interact',
-      'f': 'action',
-      'p': 'pause'
-    };
+    // Key bindings per action (persisted), and the key -> action lookup built from them
+    this.keyBindings = this.loadKeyBindings();
+    this.keyMappings = {};
+    this.rebuildKeyMappings();
+    this.keyCaptureCallback = null; // Set while the controls screen waits for a key
+    
+    // Edge detection: held state from the previous frame, plus presses/releases that
+    // happened between polls (so a tap shorter than a frame isn't lost)
+    this.previousHeld = {};
+    this.pendingPresses = new Set();
+    this.pendingReleases = new Set();
     
     // Bind event handlers
     this.handleKeyDown = this.handleKeyDown.bind(this);
     this.handleKeyUp = this.handleKeyUp.bind(this);
     
     this.isChatFocused = false; // <<< ADD Flag >>>
+    
+    // Gamepad state, polled once per frame in getInputState()
+    this.gamepadIndex = null;
+    this.gamepadDeadZone = 0.2;
+    this.gamepadState = {};
+    this.handleGamepadConnected = this.handleGamepadConnected.bind(this);
+    this.handleGamepadDisconnected = this.handleGamepadDisconnected.bind(this);
   }
   
   init(chatInputElement = null) {
@@ -52,24 +159,38 @@ export class InputManager {
     window.addEventListener('keyup', this.handleKeyUp);
     
     // Touch event listeners
-    const touchTarget = document.body; // Listen on body to catch events bubbled from buttons
-    touchTarget.addEventListener('touchstart', this.onTouchStart.bind(this), { passive: false });
-    touchTarget.addEventListener('touchend', this.onTouchEnd.bind(this), { passive: false });
-    touchTarget.addEventListener('touchcancel', this.onTouchEnd.bind(this), { passive: false }); // Treat cancel like end
+    this.setupMobileControls();
+    
+    // Gamepad hot-plugging
+    window.addEventListener('gamepadconnected', this.handleGamepadConnected);
+    window.addEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
   }
   
   handleKeyDown(event) {
+    this.isUsingTouch = false;
+    
+    // The controls screen is waiting for a key to bind
+    if (this.keyCaptureCallback) {
+      event.preventDefault();
+      const callback = this.keyCaptureCallback;
+      this.keyCaptureCallback = null;
+      callback(normalizeKey(event.key));
+      return;
+    }
+    
     if (this.isChatFocused) {
       // If chat input is focused, let browser handle typing normally.
       return; // Don't process game keys
     }
     
-    const key = event.key;
+    const key = normalizeKey(event.key);
     
     // Check if the key is mapped
     if (this.keyMappings[key] !== undefined) {
-      this.inputState[this.keyMappings[key]] = true;
       event.preventDefault(); // Prevent default ONLY when using key for game action
+      if (event.repeat) return; // Auto-repeat isn't a new press
+      this.keys[key] = true;
+      this.setActionState(this.keyMappings[key], true);
     }
   }
   
@@ -79,17 +200,183 @@ export class InputManager {
       return; // Don't process game keys
     }
     
-    const key = event.key;
+    const key = normalizeKey(event.key);
     
     // Check if the key is mapped
     if (this.keyMappings[key] !== undefined) {
-      this.inputState[this.keyMappings[key]] = false;
       event.preventDefault(); // Prevent default ONLY when using key for game action
+      this.keys[key] = false;
+      const action = this.keyMappings[key];
+      // Stay held while another key bound to the same action is still down
+      const stillHeld = this.keyBindings[action].some(boundKey => this.keys[boundKey]);
+      if (!stillHeld) {
+        this.setActionState(action, false);
+      }
     }
   }
   
+  // Update a held action and remember the edge for the next poll
+  setActionState(action, isDown) {
+    if (this.inputState[action] === isDown) return;
+    this.inputState[action] = isDown;
+    (isDown ? this.pendingPresses : this.pendingReleases).add(action);
+  }
+  
+  // <<< ADD: Key rebinding >>>
+  loadKeyBindings() {
+    const saved = Profile.getKeyBindings() || {};
+    const bindings = {};
+    // Start from the defaults so actions added in later versions still get keys
+    Object.keys(DEFAULT_KEY_BINDINGS).forEach(action => {
+      const keys = Array.isArray(saved[action]) ? saved[action] : DEFAULT_KEY_BINDINGS[action];
+      bindings[action] = keys.filter(key => typeof key === 'string').slice(0, MAX_BINDINGS_PER_ACTION);
+    });
+    return bindings;
+  }
+  
+  rebuildKeyMappings() {
+    this.keyMappings = {};
+    Object.entries(this.keyBindings).forEach(([action, keys]) => {
+      keys.forEach(key => {
+        this.keyMappings[key] = action;
+      });
+    });
+  }
+  
+  // Apply and persist a binding change
+  commitKeyBindings() {
+    this.rebuildKeyMappings();
+    this.clearInputState(); // Don't leave actions stuck on keys that just changed meaning
+    Profile.setKeyBindings(this.keyBindings);
+  }
+  
+  /**
+   * Current bindings
+   * @returns {Object} Map of action -> array of keys
+   */
+  getKeyBindings() {
+    const copy = {};
+    Object.entries(this.keyBindings).forEach(([action, keys]) => {
+      copy[action] = [...keys];
+    });
+    return copy;
+  }
+  
+  /**
+   * Action a key is already bound to, other than the given one
+   * @param {string} action - Action being rebound
+   * @param {string} key - Normalized key
+   * @returns {string|null} Conflicting action or null
+   */
+  findKeyConflict(action, key) {
+    const boundAction = this.keyMappings[key];
+    return boundAction && boundAction !== action ? boundAction : null;
+  }
+  
+  /**
+   * Bind a key to an action, taking it away from any other action
+   * @param {string} action - Action to bind
+   * @param {string} key - Normalized key
+   * @param {number} slot - Binding slot (0 = primary)
+   */
+  bindKey(action, key, slot = 0) {
+    if (!this.keyBindings[action]) return;
+    
+    const conflict = this.findKeyConflict(action, key);
+    if (conflict) {
+      this.keyBindings[conflict] = this.keyBindings[conflict].filter(boundKey => boundKey !== key);
+    }
+    
+    const keys = [...this.keyBindings[action]];
+    const index = Math.min(slot, keys.length, MAX_BINDINGS_PER_ACTION - 1);
+    const existing = keys.indexOf(key);
+    if (existing !== -1) {
+      keys[existing] = keys[index]; // Already bound to this action: swap slots
+    }
+    keys[index] = key;
+    this.keyBindings[action] = keys.filter(Boolean);
+    this.commitKeyBindings();
+  }
+  
+  /**
+   * Remove the key in a binding slot
+   * @param {string} action - Action to unbind
+   * @param {number} slot - Binding slot
+   */
+  unbindKey(action, slot) {
+    if (!this.keyBindings[action]) return;
+    this.keyBindings[action] = this.keyBindings[action].filter((_, index) => index !== slot);
+    this.commitKeyBindings();
+  }
+  
+  resetKeyBindings() {
+    this.keyBindings = {};
+    Object.entries(DEFAULT_KEY_BINDINGS).forEach(([action, keys]) => {
+      this.keyBindings[action] = [...keys];
+    });
+    this.commitKeyBindings();
+  }
+  
+  /**
+   * Hand the next key press to a callback instead of the game
+   * @param {Function} callback - Receives the normalized key
+   */
+  captureNextKey(callback) {
+    this.keyCaptureCallback = callback;
+  }
+  
+  cancelKeyCapture() {
+    this.keyCaptureCallback = null;
+  }
+  
+  /**
+   * Poll input for this frame, merging keyboard/touch with the gamepad. Call once per frame.
+   * Each action appears as a held boolean (state.jump) and in the held, pressed and
+   * released maps (state.pressed.jump is true only on the frame the press happened).
+   * moveX/moveY (-1..1, right/forward positive) carry analog movement and
+   * lookX/lookY (right/down positive, like mouse movement) carry the right stick.
+   * @returns {Object} Input state for this frame
+   */
   getInputState() {
-    return { ...this.inputState }; // Return a copy of the input state
+    const held = { ...this.inputState };
+    const axes = { moveX: 0, moveY: 0, lookX: 0, lookY: 0 };
+    
+    this.pollGamepad();
+    Object.entries(this.gamepadState).forEach(([field, value]) => {
+      if (typeof value === 'boolean') {
+        held[field] = held[field] || value;
+      } else {
+        axes[field] = value;
+      }
+    });
+    
+    // The touch joystick works like a left stick
+    if (this.joystick.touchId !== null && (this.joystick.x || this.joystick.y)) {
+      axes.moveX = this.joystick.x;
+      axes.moveY = this.joystick.y;
+      if (this.joystick.y > 0) held.forward = true;
+      if (this.joystick.y < 0) held.backward = true;
+      if (this.joystick.x > 0) held.right = true;
+      if (this.joystick.x < 0) held.left = true;
+    }
+    
+    // Swipes are reported in pixels, like mouse movement
+    axes.lookDeltaX = this.touchLookDelta.x;
+    axes.lookDeltaY = this.touchLookDelta.y;
+    this.touchLookDelta.x = 0;
+    this.touchLookDelta.y = 0;
+    
+    const pressed = {};
+    const released = {};
+    Object.keys(held).forEach(action => {
+      pressed[action] = (held[action] && !this.previousHeld[action]) || this.pendingPresses.has(action);
+      released[action] = (!held[action] && !!this.previousHeld[action]) || this.pendingReleases.has(action);
+    });
+    this.previousHeld = held;
+    this.pendingPresses.clear();
+    this.pendingReleases.clear();
+    
+    return { ...held, ...axes, held, pressed, released };
   }
   
   clearInputState() {
@@ -97,17 +384,162 @@ export class InputManager {
     Object.keys(this.inputState).forEach(key => {
       this.inputState[key] = false;
     });
+    this.keys = {};
+    this.gamepadState = {};
+    this.resetTouchSticks();
+    this.pendingPresses.clear();
+    this.pendingReleases.clear();
+  }
+  
+  // <<< ADD: Gamepad support >>>
+  handleGamepadConnected(event) {
+    const gamepad = event.gamepad;
+    if (this.gamepadIndex === null) {
+      this.gamepadIndex = gamepad.index;
+    }
+    const isStandard = gamepad.mapping === 'standard';
+    if (!isStandard) {
+      console.warn(`Gamepad "${gamepad.id}" has a non-standard layout; only basic buttons are mapped.`);
+    }
+    GameEvents.emit(EVENT_TYPES.INPUT_DEVICE_CONNECTED, { type: 'gamepad', id: gamepad.id, isStandard });
+  }
+  
+  handleGamepadDisconnected(event) {
+    if (event.gamepad.index === this.gamepadIndex) {
+      this.gamepadIndex = null; // Next poll picks up any other connected pad
+      this.gamepadState = {};
+    }
+    GameEvents.emit(EVENT_TYPES.INPUT_DEVICE_DISCONNECTED, { type: 'gamepad', id: event.gamepad.id });
+  }
+  
+  getActiveGamepad() {
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+    if (this.gamepadIndex !== null && gamepads[this.gamepadIndex]) {
+      return gamepads[this.gamepadIndex];
+    }
+    // Some browsers only expose pads after a button press and skip the connected event
+    const gamepad = Array.from(gamepads).find(pad => pad && pad.connected);
+    this.gamepadIndex = gamepad ? gamepad.index : null;
+    return gamepad || null;
+  }
+  
+  pollGamepad() {
+    const gamepad = this.getActiveGamepad();
+    if (!gamepad || this.isChatFocused) {
+      this.gamepadState = {};
+      return;
+    }
+    
+    const state = {};
+    const buttonMap = gamepad.mapping === 'standard' ? STANDARD_GAMEPAD_BUTTONS : FALLBACK_GAMEPAD_BUTTONS;
+    Object.entries(buttonMap).forEach(([index, field]) => {
+      const button = gamepad.buttons[index];
+      if (button?.pressed) state[field] = true;
+    });
+    
+    // Left stick moves, right stick looks
+    const move = this.readStick(gamepad, 0, 1);
+    const look = this.readStick(gamepad, 2, 3);
+    state.moveX = move.x;
+    state.moveY = -move.y; // Stick up is negative
+    state.lookX = look.x;
+    state.lookY = look.y;
+    if (state.moveY > 0) state.forward = true;
+    if (state.moveY < 0) state.backward = true;
+    if (state.moveX > 0) state.right = true;
+    if (state.moveX < 0) state.left = true;
+    
+    this.gamepadState = state;
   }
   
-  // Method to add touch/mobile controls in the future
+  readStick(gamepad, xAxis, yAxis) {
+    return applyRadialDeadZone(gamepad.axes[xAxis] || 0, gamepad.axes[yAxis] || 0, this.gamepadDeadZone);
+  }
+  
+  // <<< ADD: Touch joystick, swipe look and haptics >>>
   setupMobileControls() {
-    // TODO: Implement touch controls for mobile devices
+    const touchTarget = document.body; // Listen on body to catch events bubbled from buttons
+    touchTarget.addEventListener('touchstart', this.onTouchStart.bind(this), { passive: false });
+    touchTarget.addEventListener('touchmove', this.onTouchMove.bind(this), { passive: false });
+    touchTarget.addEventListener('touchend', this.onTouchEnd.bind(this), { passive: false });
+    touchTarget.addEventListener('touchcancel', this.onTouchEnd.bind(this), { passive: false }); // Treat cancel like end
+    
+    // Zones move when the layout flips, so drop any stick that's mid-drag
+    window.addEventListener('orientationchange', () => this.resetTouchSticks());
+  }
+  
+  startJoystick(touch, zone) {
+    const joystick = this.joystick;
+    const zoneRect = zone.getBoundingClientRect();
+    joystick.touchId = touch.identifier;
+    joystick.originX = touch.clientX;
+    joystick.originY = touch.clientY;
+    joystick.x = 0;
+    joystick.y = 0;
+    joystick.zone = zone;
+    
+    // Float the base under the thumb
+    const base = zone.querySelector('.touch-joystick-base');
+    if (base) {
+      base.style.left = `${touch.clientX - zoneRect.left}px`;
+      base.style.top = `${touch.clientY - zoneRect.top}px`;
+      base.classList.add('active');
+    }
+    this.moveJoystickKnob(0, 0);
+  }
+  
+  updateJoystick(touch) {
+    const joystick = this.joystick;
+    const base = joystick.zone?.querySelector('.touch-joystick-base');
+    const radius = base ? base.offsetWidth / 2 : 60;
+    
+    let dx = touch.clientX - joystick.originX;
+    let dy = touch.clientY - joystick.originY;
+    const distance = Math.hypot(dx, dy);
+    if (distance > radius) {
+      dx = (dx / distance) * radius;
+      dy = (dy / distance) * radius;
+    }
+    this.moveJoystickKnob(dx, dy);
+    
+    const stick = applyRadialDeadZone(dx / radius, dy / radius, TOUCH_JOYSTICK_DEAD_ZONE);
+    joystick.x = stick.x;
+    joystick.y = -stick.y; // Screen Y grows downwards
+  }
+  
+  moveJoystickKnob(dx, dy) {
+    const knob = this.joystick.zone?.querySelector('.touch-joystick-knob');
+    if (knob) {
+      knob.style.transform = `translate(calc(-50% + ${dx}px), calc(-50% + ${dy}px))`;
+    }
+  }
+  
+  resetTouchSticks() {
+    this.joystick.zone?.querySelector('.touch-joystick-base')?.classList.remove('active');
+    this.joystick.touchId = null;
+    this.joystick.x = 0;
+    this.joystick.y = 0;
+    this.joystick.zone = null;
+    this.lookTouch.touchId = null;
+    this.touchLookDelta.x = 0;
+    this.touchLookDelta.y = 0;
+  }
+  
+  /**
+   * Buzz the device, when the player is on a touch screen and the browser supports it
+   * @param {number|Array<number>} pattern - Milliseconds, or an on/off pattern
+   */
+  vibrate(pattern) {
+    if (!this.hapticsEnabled || !this.isUsingTouch || typeof navigator.vibrate !== 'function') return;
+    navigator.vibrate(pattern);
   }
   
   // Method to clean up event listeners
   cleanup() {
     window.removeEventListener('keydown', this.handleKeyDown);
     window.removeEventListener('keyup', this.handleKeyUp);
+    window.removeEventListener('gamepadconnected', this.handleGamepadConnected);
+    window.removeEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
   }
   
   // Touch Start Handler
@@ -120,15 +552,42 @@ export class InputManager {
       // Check if the touch started on one of our buttons
       if (targetElement.classList.contains('touch-button')) {
         event.preventDefault(); // Prevent default ONLY for touch buttons
+        this.isUsingTouch = true;
         const action = targetElement.dataset.action;
         if (action && !this.activeTouches[touch.identifier]) {
-           this.inputState[action] = true;
+           this.setActionState(action, true);
            this.activeTouches[touch.identifier] = action; // Track this touch
         }
+      } else if (targetElement.classList.contains('touch-joystick-zone') && this.joystick.touchId === null) {
+        event.preventDefault();
+        this.isUsingTouch = true;
+        this.startJoystick(touch, targetElement);
+      } else if (targetElement.classList.contains('touch-look-zone') && this.lookTouch.touchId === null) {
+        event.preventDefault();
+        this.isUsingTouch = true;
+        this.lookTouch.touchId = touch.identifier;
+        this.lookTouch.lastX = touch.clientX;
+        this.lookTouch.lastY = touch.clientY;
+      }
+    }
+  }
+  
+  // Touch Move Handler (joystick drag and look swipes)
+  onTouchMove(event) {
+    const changedTouches = event.changedTouches;
+    for (let i = 0; i < changedTouches.length; i++) {
+      const touch = changedTouches[i];
+      if (touch.identifier === this.joystick.touchId) {
+        event.preventDefault();
+        this.updateJoystick(touch);
+      } else if (touch.identifier === this.lookTouch.touchId) {
+        event.preventDefault();
+        this.touchLookDelta.x += touch.clientX - this.lookTouch.lastX;
+        this.touchLookDelta.y += touch.clientY - this.lookTouch.lastY;
+        this.lookTouch.lastX = touch.clientX;
+        this.lookTouch.lastY = touch.clientY;
       }
     }
-    // Update state immediately (useful for single-press actions like pause/interact)
-    this.updateInputState(); 
   }
   
   // Touch End/Cancel Handler
@@ -140,15 +599,19 @@ export class InputManager {
 
       if (action) {
         event.preventDefault(); // Prevent default ONLY if ending a button touch
-        this.inputState[action] = false;
+        this.setActionState(action, false);
         delete this.activeTouches[touch.identifier]; // Stop tracking this touch
+      } else if (touch.identifier === this.joystick.touchId) {
+        event.preventDefault();
+        this.joystick.zone?.querySelector('.touch-joystick-base')?.classList.remove('active');
+        this.joystick.touchId = null;
+        this.joystick.x = 0;
+        this.joystick.y = 0;
+      } else if (touch.identifier === this.lookTouch.touchId) {
+        event.preventDefault();
+        this.lookTouch.touchId = null;
       }
     }
-    this.updateInputState();
-  }
-  
-  updateInputState() {
-    // Implement the logic to update the input state based on touch events
   }
   
   // <<< ADD Method to set focus state >>>
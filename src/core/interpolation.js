@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+
+/**
+ * Buffers timestamped transform snapshots of a remote player and samples them
+ * slightly in the past, so movement stays smooth between network updates.
+ */
+export class SnapshotBuffer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.bufferSize] - Maximum snapshots kept
+   * @param {number} [options.maxExtrapolation] - How far (ms) to extrapolate past the newest snapshot
+   */
+  constructor({ bufferSize = 20, maxExtrapolation = 250 } = {}) {
+    this.bufferSize = bufferSize;
+    this.maxExtrapolation = maxExtrapolation;
+    this.snapshots = []; // Ordered oldest -> newest: { time, position, quaternion }
+
+    this.velocity = new THREE.Vector3(); // Scratch vector for extrapolation
+  }
+
+  /**
+   * Add a snapshot. Out-of-order or duplicate snapshots are dropped.
+   * @param {number} time - Server timestamp in ms
+   * @param {THREE.Vector3} position - Position at that time
+   * @param {THREE.Quaternion} quaternion - Rotation at that time
+   */
+  push(time, position, quaternion) {
+    const newest = this.snapshots[this.snapshots.length - 1];
+    if (newest && time <= newest.time) return;
+
+    this.snapshots.push({
+      time,
+      position: position.clone(),
+      quaternion: quaternion.clone()
+    });
+
+    if (this.snapshots.length > this.bufferSize) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * Sample the buffered transform at a given time
+   * @param {number} renderTime - Server time (ms) to sample at
+   * @param {THREE.Vector3} outPosition - Receives the position
+   * @param {THREE.Quaternion} outQuaternion - Receives the rotation
+   * @returns {boolean} Whether a sample was produced (false if the buffer is empty)
+   */
+  sample(renderTime, outPosition, outQuaternion) {
+    const count = this.snapshots.length;
+    if (count === 0) return false;
+
+    const oldest = this.snapshots[0];
+    const newest = this.snapshots[count - 1];
+
+    // Not enough history yet - hold the oldest snapshot
+    if (renderTime <= oldest.time) {
+      outPosition.copy(oldest.position);
+      outQuaternion.copy(oldest.quaternion);
+      return true;
+    }
+
+    // Packets are late or missing - extrapolate from the last known velocity
+    if (renderTime >= newest.time) {
+      outPosition.copy(newest.position);
+      outQuaternion.copy(newest.quaternion);
+
+      if (count >= 2) {
+        const previous = this.snapshots[count - 2];
+        const span = newest.time - previous.time;
+        const ahead = Math.min(renderTime - newest.time, this.maxExtrapolation);
+        if (span > 0 && ahead > 0) {
+          this.velocity.subVectors(newest.position, previous.position).divideScalar(span);
+          outPosition.addScaledVector(this.velocity, ahead);
+        }
+      }
+      return true;
+    }
+
+    // Interpolate between the two snapshots surrounding renderTime
+    for (let i = count - 1; i > 0; i--) {
+      const from = this.snapshots[i - 1];
+      const to = this.snapshots[i];
+      if (renderTime >= from.time) {
+        const t = (renderTime - from.time) / (to.time - from.time);
+        outPosition.lerpVectors(from.position, to.position, t);
+        outQuaternion.slerpQuaternions(from.quaternion, to.quaternion, t);
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  clear() {
+    this.snapshots = [];
+  }
+}
@@ -4,14 +4,42 @@ export class NetworkManager {
     this.ws = null;
     this.clientId = null; // Will be assigned by the server on connection
     this.game = game; // Reference to the main game instance to dispatch events/updates
+    
+    // Reconnection state
+    this.resumeToken = null; // Lets the server hand us back the same client id
+    this.shouldReconnect = true; // False after an intentional disconnect()
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.reconnectBaseDelay = 1000; // First retry after ~1s
+    this.reconnectMaxDelay = 30000; // Never wait longer than 30s
+    this.reconnectJitter = 0.5; // Randomize up to 50% of the delay so clients don't retry in lockstep
+    this.status = 'disconnected'; // 'connecting' | 'connected' | 'reconnecting' | 'disconnected'
   }
 
   connect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.shouldReconnect = true;
+    
+    const url = this.getConnectionUrl();
     console.log(`Attempting to connect to WebSocket server at ${this.url}...`);
-    this.ws = new WebSocket(this.url);
+    if (this.reconnectAttempts === 0) {
+      this.setStatus('connecting');
+    }
+    
+    try {
+      this.ws = new WebSocket(url);
+    } catch (error) {
+      console.error('Failed to create WebSocket:', error);
+      this.ws = null;
+      this.scheduleReconnect();
+      return;
+    }
 
     this.ws.onopen = () => {
       console.log('WebSocket connection established.');
+      this.reconnectAttempts = 0;
+      this.setStatus('connected');
       // Server should send back a client ID upon connection
     };
 
@@ -31,14 +59,53 @@ export class NetworkManager {
 
     this.ws.onclose = (event) => {
       console.log('WebSocket connection closed:', event.code, event.reason);
+      const wasConnected = this.clientId !== null;
       this.ws = null;
       this.clientId = null;
-      // Optionally notify the game or attempt to reconnect
-      if (this.game && typeof this.game.handleDisconnect === 'function') {
+      if (wasConnected && this.game && typeof this.game.handleDisconnect === 'function') {
          this.game.handleDisconnect();
       }
+      
+      if (this.shouldReconnect) {
+        this.scheduleReconnect();
+      } else {
+        this.setStatus('disconnected');
+      }
     };
   }
+  
+  getConnectionUrl() {
+    if (!this.resumeToken) return this.url;
+    const separator = this.url.includes('?') ? '&' : '?';
+    return `${this.url}${separator}resume=${encodeURIComponent(this.resumeToken)}`;
+  }
+  
+  // Exponential backoff with jitter: ~1s, 2s, 4s ... capped at reconnectMaxDelay
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+    
+    const exponentialDelay = Math.min(
+      this.reconnectMaxDelay,
+      this.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts)
+    );
+    const delay = Math.round(exponentialDelay * (1 - this.reconnectJitter * Math.random()));
+    this.reconnectAttempts++;
+    
+    console.log(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})...`);
+    this.setStatus('reconnecting', { attempt: this.reconnectAttempts, delay });
+    
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+  
+  setStatus(status, details = {}) {
+    this.status = status;
+    if (this.game && typeof this.game.handleConnectionStatus === 'function') {
+      this.game.handleConnectionStatus(status, details);
+    }
+  }
 
   handleMessage(message) {
     if (!message.type) {
@@ -50,9 +117,20 @@ export class NetworkManager {
     switch (message.type) {
       case 'assignId':
         this.clientId = message.payload.id;
-        console.log(`Assigned Client ID: ${this.clientId}`);
+        this.resumeToken = message.payload.resumeToken || null;
+        console.log(`Assigned Client ID: ${this.clientId}${message.payload.resumed ? ' (resumed)' : ''}`);
         if (this.game && typeof this.game.setClientId === 'function') {
-            this.game.setClientId(this.clientId);
+            this.game.setClientId(this.clientId, { resumed: !!message.payload.resumed });
+        }
+        break;
+      case 'levelSeed': // Seed of the shared layout, sent on connect
+        if (this.game && typeof this.game.handleLevelSeed === 'function') {
+          this.game.handleLevelSeed(message.payload);
+        }
+        break;
+      case 'regenerate': // Server-scheduled switch to a new layout
+        if (this.game && typeof this.game.handleRegenerate === 'function') {
+          this.game.handleRegenerate(message.payload);
         }
         break;
       case 'worldState': // Initial state or full update
@@ -72,7 +150,7 @@ export class NetworkManager {
         break;
       case 'playerUpdate':
          if (this.clientId && message.payload.id !== this.clientId && this.game && typeof this.game.handlePlayerUpdate === 'function') {
-            this.game.handlePlayerUpdate(message.payload.id, message.payload.state);
+            this.game.handlePlayerUpdate(message.payload.id, message.payload.state, message.payload.serverTime);
          }
         break;
       case 'chatMessage':
@@ -80,6 +158,11 @@ export class NetworkManager {
              this.game.handleChatMessage(message.payload.senderId, message.payload.text);
           }
           break;
+      case 'scoreResult': // Verdict on a score sent with submitScore
+          if (this.game && typeof this.game.handleScoreResult === 'function') {
+             this.game.handleScoreResult(message.payload);
+          }
+          break;
       default:
         console.log(`Unhandled message type: ${message.type}`);
     }
@@ -100,6 +183,9 @@ export class NetworkManager {
   }
 
   disconnect() {
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
     if (this.ws) {
       console.log('Disconnecting WebSocket...');
       this.ws.close();
@@ -1,11 +1,52 @@
 import * as THREE from 'three';
 
+// Shadow map resolution for each shadow quality setting ('off' disables shadows)
+const SHADOW_MAP_SIZES = { low: 512, medium: 1024, high: 2048 };
+
 export class Renderer {
   constructor() {
     this.renderer = null;
     this.camera = null;
     this.followTarget = null;
-    this.cameraOffset = new THREE.Vector3(0, 5, -10);
+
+    // Orbit camera around the follow target. Yaw is relative to the target's heading
+    // (0 = directly behind), pitch is the angle above the horizon.
+    this.cameraOrbit = {
+      yaw: 0,
+      pitch: Math.atan2(5, 10),
+      distance: Math.hypot(5, 10),
+      minPitch: -0.3,
+      maxPitch: 1.4,
+      minDistance: 3,
+      maxDistance: 25,
+      pivotHeight: 1.5,      // Orbit around the player's chest rather than their feet
+      lookDownPitch: 1.35,   // Pitch used while look-down is held
+      lookDownDepth: 8       // How far below the player the camera aims while looking down
+    };
+    this.mouseSensitivity = 0.0025; // Radians per pixel of mouse movement
+    this.zoomSensitivity = 0.01;    // Distance per wheel delta unit
+    this.stickLookSpeed = 2.5;      // Radians per second at full right-stick deflection
+    this.touchLookSensitivity = 0.005; // Radians per pixel swiped on the look area
+    this.lookSensitivity = 1;   // Settings multiplier applied to every look input
+    this.invertLookY = false;
+    this.mouseLookEnabled = true;
+    this.followHeading = true;  // Swing behind the target as it turns (off for camera-relative movement)
+    this.isPointerLocked = false;
+    this.isLookingDown = false;
+    this.lookDownBlend = 0;     // 0..1 transition into look-down
+    this.followYaw = null;      // Smoothed heading of the follow target
+    this.currentDistance = this.cameraOrbit.distance; // Distance after collision pull-in
+    this.collisionGrid = null; // Broadphase over the level geometry the camera can't pass through
+    this.cameraRaycaster = new THREE.Raycaster();
+    this.cameraSegmentBox = new THREE.Box3();
+    this.cameraSegmentEnd = new THREE.Vector3();
+    this.graphics = {
+      shadowQuality: 'high',
+      pixelRatioCap: 2,   // Highest device pixel ratio rendered at
+      fogDistance: 1      // Multiplier on how far each level's fog reaches
+    };
+    this.configuredScene = null; // Scene the graphics settings were last applied to
+    this.baseFog = null;         // Fog values as the level created them, before scaling
     this.nightVisionEnabled = false;
     this.postProcessing = {
       enabled: false,
@@ -21,14 +62,18 @@ export class Renderer {
 
     // Bind methods
     this.onWindowResize = this.onWindowResize.bind(this);
+    this.onCanvasClick = this.onCanvasClick.bind(this);
+    this.onPointerLockChange = this.onPointerLockChange.bind(this);
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onWheel = this.onWheel.bind(this);
   }
 
   init() {
     // Renderer setup
     this.renderer = new THREE.WebGLRenderer({ antialias: true });
     this.renderer.setSize(window.innerWidth, window.innerHeight);
-    this.renderer.setPixelRatio(window.devicePixelRatio);
-    this.renderer.shadowMap.enabled = true;
+    this.applyPixelRatio();
+    this.renderer.shadowMap.enabled = this.graphics.shadowQuality !== 'off';
     this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     document.body.appendChild(this.renderer.domElement);
 
@@ -59,10 +104,144 @@ export class Renderer {
     this.fog = new THREE.Fog(0x000020, 10, 150);
     
     window.addEventListener('resize', this.onWindowResize, false);
+
+    // Mouse look: click the canvas to capture the pointer, scroll to zoom
+    this.renderer.domElement.addEventListener('click', this.onCanvasClick);
+    this.renderer.domElement.addEventListener('wheel', this.onWheel, { passive: false });
+    document.addEventListener('pointerlockchange', this.onPointerLockChange);
+    document.addEventListener('mousemove', this.onMouseMove);
   }
 
   setFollowTarget(target) {
     this.followTarget = target;
+    this.followYaw = null; // Snap to the new target's heading
+  }
+
+  /**
+   * Objects the camera must not pass through (platforms, trees, rocks, walls)
+   * @param {SpatialGrid} grid - Usually LevelManager.collisionGrid
+   */
+  setCollisionGrid(grid) {
+    this.collisionGrid = grid || null;
+  }
+
+  /**
+   * Rotate the orbit camera
+   * @param {number} deltaYaw - Radians around the target
+   * @param {number} deltaPitch - Radians up (positive) or down
+   */
+  orbitCamera(deltaYaw, deltaPitch) {
+    const orbit = this.cameraOrbit;
+    orbit.yaw = THREE.MathUtils.euclideanModulo(orbit.yaw + deltaYaw + Math.PI, Math.PI * 2) - Math.PI;
+    orbit.pitch = THREE.MathUtils.clamp(orbit.pitch + deltaPitch, orbit.minPitch, orbit.maxPitch);
+  }
+
+  /**
+   * Move the camera closer to (negative) or further from (positive) the target
+   * @param {number} delta - Change in distance
+   */
+  zoomCamera(delta) {
+    const orbit = this.cameraOrbit;
+    orbit.distance = THREE.MathUtils.clamp(orbit.distance + delta, orbit.minDistance, orbit.maxDistance);
+  }
+
+  /**
+   * Whether the camera swings round to stay behind the target as it turns.
+   * Camera-relative movement needs this off, otherwise turning to face the movement
+   * direction would rotate the camera and the movement direction with it.
+   * @param {boolean} followHeading
+   */
+  setFollowHeading(followHeading) {
+    this.followHeading = followHeading;
+  }
+
+  /**
+   * Horizontal direction the camera is looking, as a rotation around the Y axis
+   * (0 looks along +Z, matching an unrotated player)
+   * @returns {number} Yaw in radians
+   */
+  getCameraYaw() {
+    return (this.followYaw || 0) + this.cameraOrbit.yaw;
+  }
+
+  /**
+   * Orbit from a held analog input such as a gamepad stick
+   * @param {number} x - Horizontal deflection (-1..1, right positive)
+   * @param {number} y - Vertical deflection (-1..1, down positive)
+   * @param {number} deltaTime - Seconds since the last frame
+   */
+  applyLookInput(x, y, deltaTime) {
+    if (!x && !y) return;
+    const amount = this.stickLookSpeed * deltaTime;
+    this.applyLookSettings(-x * amount, y * amount);
+  }
+
+  // Hold to tilt the camera down over the player and see the platforms below
+  setLookDown(isLookingDown) {
+    this.isLookingDown = !!isLookingDown;
+  }
+
+  // Disable while menus are open so clicks reach the UI instead of capturing the pointer
+  setMouseLookEnabled(enabled) {
+    this.mouseLookEnabled = enabled;
+    if (!enabled && this.isPointerLocked) {
+      document.exitPointerLock?.();
+    }
+  }
+
+  onCanvasClick() {
+    const canvas = this.renderer.domElement;
+    if (!this.mouseLookEnabled || !this.followTarget || this.isPointerLocked || !canvas.requestPointerLock) return;
+
+    // Newer browsers return a promise that rejects if the lock is refused
+    const request = canvas.requestPointerLock();
+    if (request && typeof request.catch === 'function') {
+      request.catch(error => console.warn("Pointer lock request failed:", error));
+    }
+  }
+
+  onPointerLockChange() {
+    this.isPointerLocked = document.pointerLockElement === this.renderer.domElement;
+  }
+
+  onMouseMove(event) {
+    if (!this.isPointerLocked || !this.mouseLookEnabled) return;
+    this.applyLookDelta(event.movementX, event.movementY);
+  }
+
+  /**
+   * Orbit from a pointer movement (mouse or touch swipe)
+   * @param {number} dx - Pixels moved right
+   * @param {number} dy - Pixels moved down
+   * @param {number} [sensitivity] - Radians per pixel, defaults to the mouse sensitivity
+   */
+  applyLookDelta(dx, dy, sensitivity = this.mouseSensitivity) {
+    if (!dx && !dy) return;
+    // Moving right swings the camera left around the player so the view turns right
+    this.applyLookSettings(-dx * sensitivity, dy * sensitivity);
+  }
+
+  /**
+   * Set how look input turns the camera
+   * @param {Object} options
+   * @param {number} [options.sensitivity] - Multiplier on mouse, touch and stick look speeds
+   * @param {boolean} [options.invertY] - Moving up looks down
+   */
+  setLookSettings({ sensitivity = this.lookSensitivity, invertY = this.invertLookY } = {}) {
+    this.lookSensitivity = sensitivity;
+    this.invertLookY = invertY;
+  }
+
+  // Orbit by a player look input, scaled and inverted per the look settings
+  applyLookSettings(deltaYaw, deltaPitch) {
+    const pitchSign = this.invertLookY ? -1 : 1;
+    this.orbitCamera(deltaYaw * this.lookSensitivity, deltaPitch * this.lookSensitivity * pitchSign);
+  }
+
+  onWheel(event) {
+    if (!this.followTarget || !this.mouseLookEnabled) return;
+    event.preventDefault();
+    this.zoomCamera(event.deltaY * this.zoomSensitivity);
   }
 
   onWindowResize() {
@@ -72,7 +251,7 @@ export class Renderer {
     this.camera.updateProjectionMatrix();
 
     this.renderer.setSize(window.innerWidth, window.innerHeight);
-    this.renderer.setPixelRatio(window.devicePixelRatio);
+    this.applyPixelRatio();
 
     if (this.composer) {
       this.composer.setSize(window.innerWidth, window.innerHeight);
@@ -81,24 +260,76 @@ export class Renderer {
     console.log(`Window resized: ${window.innerWidth}x${window.innerHeight}`);
   }
 
-  updateCamera() {
+  updateCamera(deltaTime = 0) {
     if (!this.followTarget) return;
 
-    const targetPosition = new THREE.Vector3();
-    this.followTarget.getWorldPosition(targetPosition);
+    const orbit = this.cameraOrbit;
+    const pivot = new THREE.Vector3();
+    this.followTarget.getWorldPosition(pivot);
+    pivot.y += orbit.pivotHeight;
 
+    // Follow the target's heading smoothly so turning doesn't whip the camera around
     const playerQuaternion = new THREE.Quaternion();
     this.followTarget.getWorldQuaternion(playerQuaternion);
+    const heading = new THREE.Euler().setFromQuaternion(playerQuaternion, 'YXZ').y;
+    if (this.followYaw === null) {
+      this.followYaw = heading;
+    } else if (this.followHeading) {
+      const difference = THREE.MathUtils.euclideanModulo(heading - this.followYaw + Math.PI, Math.PI * 2) - Math.PI;
+      this.followYaw += difference * Math.min(1, deltaTime * 6);
+    }
+
+    // Ease in and out of look-down mode
+    const blendTarget = this.isLookingDown ? 1 : 0;
+    this.lookDownBlend += (blendTarget - this.lookDownBlend) * Math.min(1, deltaTime * 8);
+    const pitch = THREE.MathUtils.lerp(orbit.pitch, orbit.lookDownPitch, this.lookDownBlend);
+    const yaw = this.followYaw + orbit.yaw;
+
+    // Direction from the pivot to the camera
+    const horizontal = Math.cos(pitch);
+    const direction = new THREE.Vector3(
+      -Math.sin(yaw) * horizontal,
+      Math.sin(pitch),
+      -Math.cos(yaw) * horizontal
+    );
+
+    // Pull in immediately when something blocks the view, ease back out when clear
+    const allowedDistance = this.getUnobstructedDistance(pivot, direction, orbit.distance);
+    if (allowedDistance < this.currentDistance) {
+      this.currentDistance = allowedDistance;
+    } else {
+      this.currentDistance += (allowedDistance - this.currentDistance) * Math.min(1, deltaTime * 4);
+    }
+
+    this.camera.position.copy(pivot).addScaledVector(direction, this.currentDistance);
+
+    // Aim below the player while looking down so the next platforms are in view
+    const lookTarget = pivot.clone();
+    lookTarget.y -= orbit.lookDownDepth * this.lookDownBlend;
+    this.camera.lookAt(lookTarget);
+  }
+
+  // Distance the camera can sit from the pivot before hitting level geometry
+  getUnobstructedDistance(pivot, direction, maxDistance) {
+    if (!this.collisionGrid) return maxDistance;
 
-    // Apply the offset based on the player's rotation
-    const rotatedOffset = this.cameraOffset.clone().applyQuaternion(playerQuaternion);
-    const cameraTargetPosition = targetPosition.clone().add(rotatedOffset);
+    const padding = 0.3; // Keep the near plane from clipping into the surface
+    const far = maxDistance + padding;
+    this.cameraRaycaster.set(pivot, direction);
+    this.cameraRaycaster.far = far;
 
-    // Smooth camera movement (lerp)
-    this.camera.position.lerp(cameraTargetPosition, 0.1);
+    // Only raycast the meshes whose bounds the pivot -> camera segment passes through
+    const segmentBox = this.cameraSegmentBox.makeEmpty().expandByPoint(pivot);
+    segmentBox.expandByPoint(this.cameraRaycaster.ray.at(far, this.cameraSegmentEnd));
+    const candidates = this.collisionGrid.queryBox(segmentBox)
+      .filter(entry => this.cameraRaycaster.ray.intersectsBox(entry.box))
+      .map(entry => entry.object);
+    if (candidates.length === 0) return maxDistance;
 
-    // Look at the player's position
-    this.camera.lookAt(targetPosition);
+    const hit = this.cameraRaycaster.intersectObjects(candidates, false)[0];
+    if (!hit) return maxDistance;
+
+    return Math.max(0.5, hit.distance - padding);
   }
 
   enableNightVision() {
@@ -237,9 +468,73 @@ export class Renderer {
     }
   }
 
+  /**
+   * Change graphics options; applied straight away and to every level loaded afterwards
+   * @param {Object} changes
+   * @param {string} [changes.shadowQuality] - 'off', 'low', 'medium' or 'high'
+   * @param {number} [changes.pixelRatioCap] - Highest device pixel ratio to render at
+   * @param {number} [changes.fogDistance] - Multiplier on the level's fog distance
+   */
+  setGraphicsSettings(changes) {
+    this.graphics = { ...this.graphics, ...changes };
+    this.applyPixelRatio();
+    this.configuredScene = null; // Re-apply shadows and fog on the next render
+  }
+
+  applyPixelRatio() {
+    if (!this.renderer) return;
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, this.graphics.pixelRatioCap));
+  }
+
+  // Apply shadow quality and fog distance (each level load creates a fresh scene)
+  configureScene(scene) {
+    const shadowsEnabled = this.graphics.shadowQuality !== 'off';
+    const mapSize = SHADOW_MAP_SIZES[this.graphics.shadowQuality] || SHADOW_MAP_SIZES.high;
+    const shadowsToggled = this.renderer.shadowMap.enabled !== shadowsEnabled;
+    this.renderer.shadowMap.enabled = shadowsEnabled;
+
+    scene.traverse((object) => {
+      if (object.isLight && object.shadow && object.shadow.mapSize.x !== mapSize) {
+        object.shadow.mapSize.set(mapSize, mapSize);
+        // Drop the old shadow map so it is re-created at the new size
+        object.shadow.map?.dispose();
+        object.shadow.map = null;
+      }
+      if (shadowsToggled && object.material) {
+        // Shadow support is compiled into shaders, so materials must rebuild
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        materials.forEach(material => { material.needsUpdate = true; });
+      }
+    });
+
+    this.applyFogDistance(scene);
+    this.configuredScene = scene;
+  }
+
+  applyFogDistance(scene) {
+    const fog = scene.fog;
+    if (!fog) return;
+    if (this.baseFog?.fog !== fog) {
+      this.baseFog = { fog, near: fog.near, far: fog.far, density: fog.density };
+    }
+
+    const scale = this.graphics.fogDistance;
+    if (fog.isFogExp2) {
+      fog.density = this.baseFog.density / scale;
+    } else {
+      fog.near = this.baseFog.near * scale;
+      fog.far = this.baseFog.far * scale;
+    }
+  }
+
   render(scene, deltaTime) {
+    // Apply graphics settings to new levels and to fog swapped in by biome changes
+    if (scene !== this.configuredScene || (scene.fog && scene.fog !== this.baseFog?.fog)) {
+      this.configureScene(scene);
+    }
+
     // Update camera position
-    this.updateCamera();
+    this.updateCamera(deltaTime);
     
     // Update billboards
     scene.traverse((object) => {
@@ -0,0 +1,19 @@
+import * as THREE from 'three';
+
+/**
+ * Create the capsule used to show other players (and ghosts) in the world
+ * @param {Object} [options]
+ * @param {number} [options.color] - Capsule color
+ * @param {number} [options.opacity] - Below 1 makes the capsule translucent
+ * @returns {THREE.Mesh} The capsule mesh
+ */
+export function createPlayerCapsule({ color = 0xff6633, opacity = 1 } = {}) {
+  const geometry = new THREE.CapsuleGeometry(0.5, 1.5, 4, 8);
+  const material = new THREE.MeshStandardMaterial({
+    color,
+    transparent: opacity < 1,
+    opacity,
+    depthWrite: opacity >= 1 // Translucent capsules shouldn't hide what's behind them
+  });
+  return new THREE.Mesh(geometry, material);
+}
@@ -0,0 +1,309 @@
+import * as THREE from 'three';
+
+// Probe layout under the capsule, as fractions of the radius (centre first)
+const GROUND_PROBE_OFFSETS = [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * Capsule character controller for the player.
+ *
+ * The capsule stands upright on the object's origin and collides against the static level
+ * boxes from the broadphase grid (collide-and-slide with conservative advancement, so fast
+ * falls can't pass through thin platforms). Ground comes from several downward probes, which
+ * gives slope limits, stepping onto small obstacles and reliable ledge detection.
+ */
+export class CharacterController {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.radius=0.5] - Capsule radius
+   * @param {number} [options.height=2.5] - Total capsule height, caps included
+   * @param {number} [options.footOffset=-0.25] - Capsule bottom relative to the object's origin
+   * @param {number} [options.stepHeight=0.4] - Tallest ledge walked onto without jumping
+   * @param {number} [options.maxSlopeAngle=45] - Steepest walkable surface, in degrees
+   * @param {number} [options.groundSnapDistance=0.3] - How far below the feet still counts as standing
+   */
+  constructor({
+    radius = 0.5,
+    height = 2.5,
+    footOffset = -0.25,
+    stepHeight = 0.4,
+    maxSlopeAngle = 45,
+    groundSnapDistance = 0.3
+  } = {}) {
+    this.radius = radius;
+    this.height = height;
+    this.footOffset = footOffset;
+    this.stepHeight = stepHeight;
+    this.minGroundNormalY = Math.cos(THREE.MathUtils.degToRad(maxSlopeAngle));
+    this.groundSnapDistance = groundSnapDistance;
+    this.skinWidth = 0.01;    // Gap kept from surfaces
+    this.maxIterations = 5;   // Slides per move (floor, wall, corner...)
+
+    // Ground state from the latest probe
+    this.isGrounded = false;
+    this.isOnLedge = false;    // Standing, but part of the capsule hangs over a drop
+    this.groundHeight = null;  // Height of the surface under the feet
+    this.groundNormal = new THREE.Vector3(0, 1, 0);
+    this.hasGroundState = false; // False until the first probe after creation or reset()
+
+    this.groundRaycaster = new THREE.Raycaster();
+    this.groundRaycaster.ray.direction.set(0, -1, 0);
+    this.queryBox = new THREE.Box3();
+  }
+
+  /**
+   * Move the object by velocity * deltaTime, sliding along whatever it hits.
+   * Velocity loses any component pushing into a surface, and ground state is refreshed.
+   * @param {THREE.Vector3} position - Object position, updated in place
+   * @param {THREE.Vector3} velocity - Object velocity, updated in place
+   * @param {number} deltaTime - Seconds to move for
+   * @param {LevelManager} levelManager - Source of nearby collision and ground objects
+   * @returns {Array<THREE.Vector3>} Normals of the surfaces touched
+   */
+  move(position, velocity, deltaTime, levelManager) {
+    const wasGrounded = this.isGrounded;
+    const horizontal = new THREE.Vector3(velocity.x, 0, velocity.z).multiplyScalar(deltaTime);
+    const vertical = new THREE.Vector3(0, velocity.y * deltaTime, 0);
+
+    // Horizontal first, so walking into a low obstacle can try stepping onto it
+    const start = position.clone();
+    const contacts = this.collideAndSlide(position, horizontal, levelManager);
+    const blockedByWall = contacts.some(normal => !this.isWalkable(normal) && normal.y > -this.minGroundNormalY);
+    if (wasGrounded && blockedByWall) {
+      this.tryStepUp(start, horizontal, position, levelManager);
+    }
+
+    const verticalContacts = this.collideAndSlide(position, vertical, levelManager);
+    let isStandingOnContact = verticalContacts.some(normal => this.isWalkable(normal));
+    if (!isStandingOnContact && wasGrounded && velocity.y <= 0) {
+      // Keep hold of the surface when walking down small drops, or over geometry with no ground probe target
+      const stuck = position.clone();
+      const stickContacts = this.collideAndSlide(stuck, new THREE.Vector3(0, -this.groundSnapDistance, 0), levelManager);
+      if (stickContacts.some(normal => this.isWalkable(normal))) {
+        position.copy(stuck);
+        verticalContacts.push(...stickContacts);
+        isStandingOnContact = true;
+      }
+    }
+    contacts.push(...verticalContacts, ...this.depenetrate(position, levelManager));
+
+    contacts.forEach(normal => {
+      const intoSurface = velocity.dot(normal);
+      if (intoSurface < 0) velocity.addScaledVector(normal, -intoSurface);
+    });
+
+    // Stand on probed ground (snapping to it) or on any walkable surface touched, unless moving upwards
+    const isOnProbedGround = this.probeGround(position, levelManager);
+    this.isGrounded = velocity.y <= 0 && (isOnProbedGround || isStandingOnContact);
+    if (this.isGrounded && isOnProbedGround) {
+      position.y = this.groundHeight - this.footOffset;
+    }
+    return contacts;
+  }
+
+  isWalkable(normal) {
+    return normal.y >= this.minGroundNormalY;
+  }
+
+  /**
+   * Check for walkable ground under the capsule
+   * @param {THREE.Vector3} position - Object position
+   * @param {LevelManager} levelManager - Source of nearby ground objects
+   * @returns {boolean} Whether the capsule is standing on something
+   */
+  probeGround(position, levelManager) {
+    const feetY = position.y + this.footOffset;
+    const probeLength = this.stepHeight + this.groundSnapDistance;
+    this.groundRaycaster.far = probeLength;
+
+    this.queryBox.min.set(position.x - this.radius, feetY - this.groundSnapDistance, position.z - this.radius);
+    this.queryBox.max.set(position.x + this.radius, feetY + this.stepHeight, position.z + this.radius);
+    const groundObjects = levelManager?.getNearbyGroundObjects
+      ? levelManager.getNearbyGroundObjects(this.queryBox)
+      : [];
+
+    let walkableCount = 0;
+    let centreHit = null;
+    let highestHit = null;
+    const normalSum = new THREE.Vector3();
+    if (groundObjects.length > 0) {
+      GROUND_PROBE_OFFSETS.forEach(([offsetX, offsetZ], index) => {
+        // Outer probes sit just inside the capsule's edge
+        const spread = this.radius * 0.8;
+        this.groundRaycaster.ray.origin.set(
+          position.x + offsetX * spread,
+          feetY + this.stepHeight,
+          position.z + offsetZ * spread
+        );
+        const hit = this.groundRaycaster.intersectObjects(groundObjects, false)[0];
+        if (!hit || !hit.face) return;
+
+        const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+        if (!this.isWalkable(normal)) return; // Too steep to stand on
+
+        walkableCount++;
+        normalSum.add(normal);
+        if (index === 0) centreHit = hit;
+        if (!highestHit || hit.point.y > highestHit.point.y) highestHit = hit;
+      });
+    }
+
+    // Balanced on a single outer probe means hanging off an edge: let the player slide off
+    this.hasGroundState = true;
+    this.isGrounded = centreHit !== null || walkableCount >= 2;
+    this.isOnLedge = this.isGrounded && walkableCount < GROUND_PROBE_OFFSETS.length;
+    this.groundHeight = this.isGrounded ? (centreHit || highestHit).point.y : null;
+    if (this.isGrounded) {
+      this.groundNormal.copy(normalSum.normalize());
+    } else {
+      this.groundNormal.set(0, 1, 0);
+    }
+    return this.isGrounded;
+  }
+
+  // Forget ground state, e.g. after a teleport
+  reset() {
+    this.hasGroundState = false;
+    this.isGrounded = false;
+    this.isOnLedge = false;
+    this.groundHeight = null;
+    this.groundNormal.set(0, 1, 0);
+  }
+
+  /**
+   * Move as far along displacement as possible, sliding along surfaces that block it.
+   * Conservative advancement: never step further than the gap to the nearest approaching box,
+   * so no surface is skipped however long the move.
+   */
+  collideAndSlide(position, displacement, levelManager) {
+    const remaining = displacement.clone();
+    const contacts = [];
+    const direction = new THREE.Vector3();
+
+    for (let i = 0; i < this.maxIterations && remaining.lengthSq() > 1e-10; i++) {
+      const length = remaining.length();
+      direction.copy(remaining).divideScalar(length);
+
+      let travel = length;
+      let blockingBox = null;
+      this.getNearbyBoxes(position, remaining, levelManager).forEach(box => {
+        const { distance, normal } = this.measure(position, box);
+        const closingRate = -direction.dot(normal);
+        if (closingRate <= 1e-4) return; // Moving away or alongside
+        const safeTravel = Math.max(0, distance - this.skinWidth) / closingRate;
+        if (safeTravel < travel) {
+          travel = safeTravel;
+          blockingBox = box;
+        }
+      });
+
+      position.addScaledVector(direction, travel);
+      remaining.addScaledVector(direction, -travel);
+      if (!blockingBox) break;
+
+      // Rounded contacts may still have a gap after advancing; keep going until touching
+      const { distance, normal } = this.measure(position, blockingBox);
+      if (distance > this.skinWidth * 2) continue;
+
+      remaining.addScaledVector(normal, -remaining.dot(normal));
+      // In a crease between two surfaces, follow the line where they meet
+      const previous = contacts.find(other => remaining.dot(other) < -1e-6);
+      if (previous) {
+        const crease = new THREE.Vector3().crossVectors(previous, normal);
+        if (crease.lengthSq() < 1e-8) break;
+        crease.normalize();
+        remaining.copy(crease.multiplyScalar(remaining.dot(crease)));
+      }
+      contacts.push(normal.clone());
+    }
+
+    return contacts;
+  }
+
+  // Walk up and over an obstacle no taller than stepHeight; keeps the step only if it got further
+  tryStepUp(start, horizontal, position, levelManager) {
+    const stepped = start.clone();
+    const raise = new THREE.Vector3(0, this.stepHeight, 0);
+    const ceiling = this.collideAndSlide(stepped, raise, levelManager);
+    if (ceiling.length > 0) return false; // No headroom
+
+    this.collideAndSlide(stepped, horizontal, levelManager);
+    this.collideAndSlide(stepped, raise.negate(), levelManager);
+    if (!this.probeGround(stepped, levelManager)) return false;
+
+    const flatDistance = (from, to) => Math.hypot(to.x - from.x, to.z - from.z);
+    if (flatDistance(start, stepped) <= flatDistance(start, position) + 1e-3) return false;
+
+    stepped.y = this.groundHeight - this.footOffset;
+    position.copy(stepped);
+    return true;
+  }
+
+  // Push out of any box the capsule has ended up inside
+  depenetrate(position, levelManager) {
+    const contacts = [];
+    for (let pass = 0; pass < 3; pass++) {
+      let pushed = false;
+      this.getNearbyBoxes(position, null, levelManager).forEach(box => {
+        const { distance, normal } = this.measure(position, box);
+        if (distance >= 0) return;
+        position.addScaledVector(normal, this.skinWidth - distance);
+        contacts.push(normal.clone());
+        pushed = true;
+      });
+      if (!pushed) break;
+    }
+    return contacts;
+  }
+
+  getNearbyBoxes(position, displacement, levelManager) {
+    if (!levelManager?.getNearbyCollisionObjects) return [];
+    const bottom = position.y + this.footOffset;
+    this.queryBox.min.set(position.x - this.radius, bottom, position.z - this.radius);
+    this.queryBox.max.set(position.x + this.radius, bottom + this.height, position.z + this.radius);
+    if (displacement) {
+      // Cover the whole path of the move
+      const end = this.queryBox.clone().translate(displacement);
+      this.queryBox.union(end);
+    }
+    this.queryBox.expandByScalar(this.skinWidth * 2);
+    return levelManager.getNearbyCollisionObjects(this.queryBox).map(entry => entry.box);
+  }
+
+  /**
+   * Signed gap between the capsule and a box (negative when overlapping), and the direction
+   * to push the capsule away from it. The capsule's core is a vertical segment, so the
+   * closest points separate into independent per-axis clamps.
+   */
+  measure(position, box) {
+    const segmentBottom = position.y + this.footOffset + this.radius;
+    const segmentTop = position.y + this.footOffset + this.height - this.radius;
+
+    const offset = new THREE.Vector3(
+      position.x - THREE.MathUtils.clamp(position.x, box.min.x, box.max.x),
+      0,
+      position.z - THREE.MathUtils.clamp(position.z, box.min.z, box.max.z)
+    );
+    if (segmentBottom > box.max.y) {
+      offset.y = segmentBottom - box.max.y;
+    } else if (segmentTop < box.min.y) {
+      offset.y = segmentTop - box.min.y;
+    }
+
+    const length = offset.length();
+    if (length > 1e-6) {
+      return { distance: length - this.radius, normal: offset.divideScalar(length) };
+    }
+
+    // Core is inside the box: leave by the shallowest side
+    const exits = [
+      { depth: box.max.x - position.x, normal: new THREE.Vector3(1, 0, 0) },
+      { depth: position.x - box.min.x, normal: new THREE.Vector3(-1, 0, 0) },
+      { depth: box.max.z - position.z, normal: new THREE.Vector3(0, 0, 1) },
+      { depth: position.z - box.min.z, normal: new THREE.Vector3(0, 0, -1) },
+      { depth: box.max.y - segmentBottom, normal: new THREE.Vector3(0, 1, 0) },
+      { depth: segmentTop - box.min.y, normal: new THREE.Vector3(0, -1, 0) }
+    ];
+    const exit = exits.reduce((best, candidate) => (candidate.depth < best.depth ? candidate : best));
+    return { distance: -(exit.depth + this.radius), normal: exit.normal };
+  }
+}
@@ -12,6 +12,7 @@ export class Collectible {
     this.bobSpeed = 1.5; // Speed of bobbing animation
     this.rotationSpeed = 1; // Speed of rotation animation
     this.startY = position.y; // Starting Y position for bobbing
+    this.bobTime = 0; // Simulated seconds, so the bob is the same at any frame rate
     
     // Add to scene at specified position
     this.mesh.position.copy(this.position);
@@ -100,7 +101,8 @@ export class Collectible {
     if (this.collected) return;
     
     // Bob up and down
-    this.mesh.position.y = this.startY + Math.sin(performance.now() / 1000 * this.bobSpeed) * this.bobHeight;
+    this.bobTime += deltaTime;
+    this.mesh.position.y = this.startY + Math.sin(this.bobTime * this.bobSpeed) * this.bobHeight;
     
     // Rotate
     this.mesh.rotation.y += this.rotationSpeed * deltaTime;
@@ -0,0 +1,89 @@
+import * as THREE from 'three';
+import { createPlayerCapsule } from './capsule.js';
+import { decodeFrames } from '../replay/runCodec.js';
+
+/**
+ * Translucent capsule that replays a recorded run alongside the player.
+ */
+export class Ghost {
+  constructor(run) {
+    this.run = run;
+    this.frames = decodeFrames(run.data);
+    this.time = 0;
+    this.frameIndex = 0;
+    this.isFinished = false;
+
+    this.mesh = this.createMesh();
+    this.applyFrame(0);
+  }
+
+  createMesh() {
+    const ghostGroup = new THREE.Group();
+    const capsule = createPlayerCapsule({ color: 0x99ddff, opacity: 0.35 });
+    capsule.position.y = 1; // Match the player body offset so the ghost stands on platforms
+    ghostGroup.add(capsule);
+    return ghostGroup;
+  }
+
+  // Rewind to the start of the run
+  reset() {
+    this.time = 0;
+    this.frameIndex = 0;
+    this.isFinished = false;
+    this.mesh.visible = true;
+    this.applyFrame(0);
+  }
+
+  update(deltaTime) {
+    if (this.isFinished || this.frames.length === 0) return;
+
+    this.time += deltaTime;
+
+    // Advance to the frame pair surrounding the current time
+    while (this.frameIndex < this.frames.length - 1 && this.frames[this.frameIndex + 1].time <= this.time) {
+      this.frameIndex++;
+    }
+
+    if (this.frameIndex >= this.frames.length - 1) {
+      // Run over - fade out at the final position
+      this.applyFrame(this.frames.length - 1);
+      this.isFinished = true;
+      this.mesh.visible = false;
+      return;
+    }
+
+    const from = this.frames[this.frameIndex];
+    const to = this.frames[this.frameIndex + 1];
+    const span = to.time - from.time;
+    const t = span > 0 ? (this.time - from.time) / span : 0;
+
+    this.mesh.position.set(
+      from.position[0] + (to.position[0] - from.position[0]) * t,
+      from.position[1] + (to.position[1] - from.position[1]) * t,
+      from.position[2] + (to.position[2] - from.position[2]) * t
+    );
+    this.mesh.quaternion.fromArray(from.quaternion).slerp(
+      new THREE.Quaternion().fromArray(to.quaternion),
+      t
+    );
+  }
+
+  applyFrame(index) {
+    const frame = this.frames[index];
+    if (!frame) return;
+    this.mesh.position.fromArray(frame.position);
+    this.mesh.quaternion.fromArray(frame.quaternion).normalize();
+  }
+
+  dispose() {
+    if (this.mesh.parent) {
+      this.mesh.parent.remove(this.mesh);
+    }
+    this.mesh.traverse(child => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+  }
+}
@@ -1,19 +1,29 @@
 import * as THREE from 'three';
+import { GameEvents, EVENT_TYPES } from '../utils/events.js';
+import { CharacterController } from './characterController.js';
 
 export class Player {
   constructor(startPosition = new THREE.Vector3(0, 2, 0)) {
     // Player properties
     this.moveSpeed = 10;
     this.turnSpeed = 2.5;
+    this.acceleration = 60;        // Units/s² towards the target speed while moving
+    this.deceleration = 50;        // Units/s² back to rest when input is released
+    this.airControl = 0.3;         // Fraction of acceleration/deceleration available in the air
+    this.faceMovementSpeed = 10;   // How quickly the character turns to its movement direction (strafe scheme)
+    this.movementScheme = 'tank';  // 'tank': A/D turn, W/S move | 'strafe': WASD relative to the camera
     this.jumpForce = 15;
     this.highJumpForceMultiplier = 1.4; // Multiplier for high jump
     this.gravity = 30;
+    this.jumpBufferTime = 0.1;     // A jump pressed this long before landing still happens
+    this.coyoteTime = 0.12;        // Jumping is still allowed this long after leaving a ledge
     this.maxHealth = 100;          // Maximum health
     this.canTelekinesis = false;
     
     // Player state
     this.velocity = new THREE.Vector3();
     this.isGrounded = false;
+    this.isOnLedge = false; // Standing with some ground probes over a drop
     this.isJumping = false;
     this.isFalling = false;
     this.isDead = false; // Flag for zero health state
@@ -23,6 +33,8 @@ export class Player {
     this.maxFallDistanceThisSession = 0; // Track max fall in session
     this.hasHighJump = false; // Ability state
     this.jumpStartY = null; // Track Y position at the start of a jump
+    this.jumpBufferTimer = 0; // Time left on a buffered jump press
+    this.coyoteTimer = 0; // Time left to jump after leaving the ground
     
     // Step sound timing
     this.stepTimer = 0;
@@ -31,20 +43,19 @@ export class Player {
     // Create player mesh
     this.mesh = this.createPlayerMesh();
     
+    // Pose before the latest simulation step; rendering blends from it to the current pose
+    this.previousPosition = new THREE.Vector3();
+    this.previousQuaternion = new THREE.Quaternion();
+    
     // Hitbox for collision detection
     this.hitbox = new THREE.Box3().setFromObject(this.mesh);
     
+    // Capsule collision, ground probes, step-up and slope limits (sized to the body mesh)
+    this.controller = new CharacterController({ radius: 0.5, height: 2.5, footOffset: -0.25 });
+    
     // Set initial position (after mesh and hitbox creation)
     this.setPosition(startPosition);
     
-    // Rays for ground detection and obstacle detection
-    this.groundRay = new THREE.Raycaster(
-      this.mesh.position,
-      new THREE.Vector3(0, -1, 0),
-      0,
-      2 // Distance to check for ground
-    );
-    
     // Collection radius (for picking up items)
     this.collectionRadius = 2.5;
     
@@ -103,25 +114,36 @@ export class Player {
     this.mesh.position.copy(position);
     // Update hitbox position
     this.hitbox.setFromObject(this.mesh);
+    // Teleports shouldn't be interpolated across, and the old ground no longer applies
+    this.storePreviousPose();
+    this.controller.reset();
+  }
+  
+  // Remember the current pose as the start of the next simulation step
+  storePreviousPose() {
+    this.previousPosition.copy(this.mesh.position);
+    this.previousQuaternion.copy(this.mesh.quaternion);
   }
   
-  update(deltaTime, inputState, levelManager) {
+  /**
+   * Switch between tank controls and camera-relative strafing
+   * @param {string} scheme - 'tank' or 'strafe'
+   */
+  setMovementScheme(scheme) {
+    this.movementScheme = scheme === 'strafe' ? 'strafe' : 'tank';
+  }
+  
+  // cameraYaw: direction the camera faces around the Y axis (used by the strafe scheme)
+  update(deltaTime, inputState, levelManager, cameraYaw = 0) {
     if (!levelManager) return;
     
     // Reset collected items and interaction requests for this frame
     this.collectedItemsThisFrame = [];
     
-    this.updateLandMovement(deltaTime, inputState, levelManager);
+    this.updateLandMovement(deltaTime, inputState, levelManager, cameraYaw);
     
-    // Update player position based on velocity
-    this.mesh.position.x += this.velocity.x * deltaTime;
-    this.mesh.position.y += this.velocity.y * deltaTime;
-    this.mesh.position.z += this.velocity.z * deltaTime;
-    
-    // Collision detection with level
-    if (levelManager.checkCollisions) {
-      this.handleCollisions(levelManager);
-    }
+    // Move the capsule by its velocity, sliding along anything it hits
+    this.controller.move(this.mesh.position, this.velocity, deltaTime, levelManager);
     
     // Update player's hitbox
     this.hitbox.setFromObject(this.mesh);
@@ -132,7 +154,7 @@ export class Player {
     }
     
     // Check for interaction input
-    if (inputState.interact) {
+    if (inputState.pressed?.interact) {
       this.interact(levelManager);
     }
     
@@ -142,44 +164,48 @@ export class Player {
     }
   }
   
-  updateLandMovement(deltaTime, inputState, levelManager) {
+  updateLandMovement(deltaTime, inputState, levelManager, cameraYaw = 0) {
     const previousYVelocity = this.velocity.y; // Store velocity before gravity
     // Check if player is grounded
     this.checkGrounded(levelManager);
     
-    // Reset horizontal velocity
-    this.velocity.x = 0;
-    this.velocity.z = 0;
-    
-    // Calculate forward direction based on player rotation
-    const forward = new THREE.Vector3(0, 0, 1);
-    forward.applyQuaternion(this.mesh.quaternion);
-    
-    // Calculate right direction based on player rotation
-    const right = new THREE.Vector3(1, 0, 0);
-    right.applyQuaternion(this.mesh.quaternion);
-    
-    // Track if player is moving
-    let isMoving = false;
-    
-    // Apply movement based on input
-    if (inputState.forward) {
-      this.velocity.add(forward.multiplyScalar(this.moveSpeed));
-      isMoving = true;
-    }
-    if (inputState.backward) {
-      this.velocity.add(forward.multiplyScalar(-this.moveSpeed * 0.7)); // Slower backward movement
-      isMoving = true;
+    // Horizontal velocity the input is asking for
+    const targetVelocity = this.movementScheme === 'strafe'
+      ? this.getStrafeTargetVelocity(deltaTime, inputState, cameraYaw)
+      : this.getTankTargetVelocity(deltaTime, inputState);
+    const isMoving = targetVelocity.lengthSq() > 0;
+    
+    // Ease towards it instead of snapping, with reduced control while airborne
+    const rate = (isMoving ? this.acceleration : this.deceleration)
+      * (this.isGrounded ? 1 : this.airControl);
+    const horizontal = new THREE.Vector3(this.velocity.x, 0, this.velocity.z);
+    const change = targetVelocity.sub(horizontal);
+    const maxChange = rate * deltaTime;
+    if (change.length() > maxChange) {
+      change.setLength(maxChange);
     }
-    if (inputState.left) {
-      this.mesh.rotation.y += this.turnSpeed * deltaTime;
+    this.velocity.x += change.x;
+    this.velocity.z += change.z;
+    
+    // Buffer jump presses and allow a short grace period after walking off an edge
+    if (inputState.pressed?.jump) {
+      this.jumpBufferTimer = this.jumpBufferTime;
+    } else {
+      this.jumpBufferTimer = Math.max(0, this.jumpBufferTimer - deltaTime);
     }
-    if (inputState.right) {
-      this.mesh.rotation.y -= this.turnSpeed * deltaTime;
+    if (this.isGrounded && !this.isJumping) {
+      this.coyoteTimer = this.coyoteTime;
+    } else {
+      this.coyoteTimer = Math.max(0, this.coyoteTimer - deltaTime);
     }
     
     // Handle jumping
-    if (inputState.jump && this.isGrounded) {
+    if (this.jumpBufferTimer > 0 && this.coyoteTimer > 0) {
+        this.jumpBufferTimer = 0;
+        this.coyoteTimer = 0;
+        this.isFalling = false; // A coyote jump starts a fresh arc
+        this.currentFallDistance = 0;
+
         // Calculate jump force based on ability
         const effectiveJumpForce = this.hasHighJump 
             ? this.jumpForce * this.highJumpForceMultiplier 
@@ -190,6 +216,7 @@ export class Player {
         this.isGrounded = false;
         this.jumpStartY = this.mesh.position.y; // Record Y position on jump
         window.game?.audio.play('player_jump'); 
+        GameEvents.emit(EVENT_TYPES.PLAYER_JUMP, { highJump: this.hasHighJump });
         if (this.hasHighJump) {
             // REMOVE: console.log("High Jump!");
         }
@@ -236,6 +263,8 @@ export class Player {
           window.game?.audio.play('player_step', { volume: 0.6 });
         }
 
+        GameEvents.emit(EVENT_TYPES.PLAYER_LAND, { fallDistance: effectiveFallDistance, fallType });
+
         if (fallDamage > 0) {
           this.takeDamage(fallDamage);
         }
@@ -260,113 +289,54 @@ export class Player {
     }
   }
   
-  checkGrounded(levelManager) {
-    // Update ray origin to match player position
-    this.groundRay.ray.origin.copy(this.mesh.position);
-    
-    // Get ground objects from the level manager
-    const groundObjects = levelManager && levelManager.groundObjects ? levelManager.groundObjects : [];
-    
-    // Default to not grounded if no ground objects available
-    this.isGrounded = false;
-    
-    // Skip raycasting if we don't have any ground objects
-    if (!groundObjects || groundObjects.length === 0) {
-      return;
-    }
+  // Movement input as axes (right/forward positive); analog sticks give partial values
+  getMoveAxes(inputState) {
+    const x = (inputState.right ? 1 : 0) - (inputState.left ? 1 : 0);
+    const y = (inputState.forward ? 1 : 0) - (inputState.backward ? 1 : 0);
+    return {
+      x: inputState.moveX || x,
+      y: inputState.moveY || y
+    };
+  }
+  
+  // Tank controls: A/D rotate the character, W/S move along its facing
+  getTankTargetVelocity(deltaTime, inputState) {
+    const axes = this.getMoveAxes(inputState);
+    this.mesh.rotation.y -= axes.x * this.turnSpeed * deltaTime;
     
-    // Cast ray downwards to check for ground
-    const intersects = this.groundRay.intersectObjects(groundObjects, false); // false for non-recursive
+    const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.mesh.quaternion);
+    forward.y = 0;
+    forward.normalize();
     
-    if (intersects.length > 0 && intersects[0].distance <= 2) { // Check distance
-      this.isGrounded = true;
-    } else {
-      this.isGrounded = false;
-    }
+    const speed = axes.y > 0 ? this.moveSpeed : this.moveSpeed * 0.7; // Slower backward movement
+    return forward.multiplyScalar(axes.y * speed);
   }
   
-  handleCollisions(levelManager) {
-    // Get collision objects from the level manager
-    const collisionObjects = levelManager && levelManager.collisionObjects ? levelManager.collisionObjects : [];
-    
-    // Skip collision check if no objects
-    if (!collisionObjects || collisionObjects.length === 0) {
-      return;
+  // Strafe controls: WASD relative to the camera, character turns to face where it's going
+  getStrafeTargetVelocity(deltaTime, inputState, cameraYaw) {
+    const axes = this.getMoveAxes(inputState);
+    const forward = new THREE.Vector3(Math.sin(cameraYaw), 0, Math.cos(cameraYaw));
+    const right = new THREE.Vector3(-Math.cos(cameraYaw), 0, Math.sin(cameraYaw));
+    
+    const direction = forward.multiplyScalar(axes.y).addScaledVector(right, axes.x);
+    if (direction.lengthSq() === 0) return direction;
+    if (direction.lengthSq() > 1) direction.normalize(); // Diagonals aren't faster
+    
+    // Turn smoothly along the shortest arc
+    const targetYaw = Math.atan2(direction.x, direction.z);
+    const difference = THREE.MathUtils.euclideanModulo(targetYaw - this.mesh.rotation.y + Math.PI, Math.PI * 2) - Math.PI;
+    this.mesh.rotation.y += difference * Math.min(1, this.faceMovementSpeed * deltaTime);
+    
+    return direction.multiplyScalar(this.moveSpeed);
+  }
+  
+  checkGrounded(levelManager) {
+    // Ground state comes from the controller's last move; probe directly after a teleport
+    if (!this.controller.hasGroundState) {
+      this.controller.probeGround(this.mesh.position, levelManager);
     }
-    
-    const playerCenter = new THREE.Vector3();
-    const playerSize = new THREE.Vector3();
-    
-    // Check for collisions with level geometry
-    collisionObjects.forEach(object => {
-      if (!object || !object.geometry || !object.matrixWorld) return; // Skip invalid objects
-      
-      const objectHitbox = new THREE.Box3().setFromObject(object);
-      
-      // Update player hitbox for each check (needed if position changes mid-loop)
-      this.hitbox.setFromObject(this.mesh);
-
-      if (this.hitbox.intersectsBox(objectHitbox)) {
-        this.hitbox.getCenter(playerCenter);
-        this.hitbox.getSize(playerSize);
-        
-        const objectCenter = new THREE.Vector3();
-        const objectSize = new THREE.Vector3();
-        objectHitbox.getCenter(objectCenter);
-        objectHitbox.getSize(objectSize);
-        
-        // Calculate overlap on each axis
-        const overlap = new THREE.Vector3();
-        overlap.x = (playerSize.x / 2 + objectSize.x / 2) - Math.abs(playerCenter.x - objectCenter.x);
-        overlap.y = (playerSize.y / 2 + objectSize.y / 2) - Math.abs(playerCenter.y - objectCenter.y);
-        overlap.z = (playerSize.z / 2 + objectSize.z / 2) - Math.abs(playerCenter.z - objectCenter.z);
-        
-        // Ensure overlap is positive (can happen with floating point inaccuracies)
-        if (overlap.x <= 0 || overlap.y <= 0 || overlap.z <= 0) return; 
-
-        // Find axis with minimum overlap (Minimum Translation Vector direction)
-        let minOverlap = Infinity;
-        let pushAxis = null;
-        
-        if (overlap.x < minOverlap) { minOverlap = overlap.x; pushAxis = 'x'; }
-        if (overlap.y < minOverlap) { minOverlap = overlap.y; pushAxis = 'y'; }
-        if (overlap.z < minOverlap) { minOverlap = overlap.z; pushAxis = 'z'; }
-
-        const mtv = new THREE.Vector3(); // Minimum Translation Vector
-        const pushAmount = minOverlap * 1.01; // Add a small buffer to ensure separation
-
-        // Determine push direction based on relative centers
-        if (pushAxis === 'x') {
-          mtv.x = Math.sign(playerCenter.x - objectCenter.x);
-        } else if (pushAxis === 'y') {
-          mtv.y = Math.sign(playerCenter.y - objectCenter.y);
-        } else if (pushAxis === 'z') {
-          mtv.z = Math.sign(playerCenter.z - objectCenter.z);
-        }
-
-        // Apply the push based on MTV
-        this.mesh.position.addScaledVector(mtv, pushAmount);
-
-        // Adjust velocity: Remove component pointing into the obstacle (along MTV)
-        const velocityAlongNormal = this.velocity.dot(mtv);
-        if (velocityAlongNormal < 0) { // Only adjust if moving towards the obstacle
-            const correction = mtv.clone().multiplyScalar(velocityAlongNormal);
-            this.velocity.sub(correction);
-        }
-        
-        // Special handling for vertical collisions
-        if (pushAxis === 'y') {
-             // If pushed upwards (hit feet) and falling, ensure grounded state
-             if (mtv.y > 0 && !this.isJumping) { 
-                 this.isGrounded = true;
-                 this.isFalling = false;
-             } 
-        }
-      }
-    });
-
-    // Final hitbox update after all collisions are resolved for this frame
-    this.hitbox.setFromObject(this.mesh);
+    this.isGrounded = this.controller.isGrounded;
+    this.isOnLedge = this.controller.isOnLedge;
   }
   
   checkCollectibles(levelManager) {
@@ -457,6 +427,7 @@ export class Player {
   
   takeDamage(amount) {
     this.currentHealth = Math.max(0, this.currentHealth - amount);
+    GameEvents.emit(EVENT_TYPES.PLAYER_DAMAGE, { amount, health: this.currentHealth });
     // REMOVE: console.log(`Player took ${amount} damage. Health: ${this.currentHealth}/${this.maxHealth}`);
 
     // Set isDead flag if health reaches 0
@@ -502,6 +473,8 @@ export class Player {
       this.currentFallDistance = 0;
       this.isGrounded = true; // Assume respawn point is safe ground
       this.isJumping = false;
+      this.jumpBufferTimer = 0;
+      this.coyoteTimer = 0;
       this.currentHealth = this.maxHealth;
       this.isDead = false;
       
@@ -0,0 +1,65 @@
+/**
+ * Leaderboard backend for a self-hosted server, such as the one in server/leaderboardServer.js.
+ *
+ *   POST {baseUrl}/scores                          body: score entry     -> 201
+ *   GET  {baseUrl}/scores?period&seed&page&pageSize                      -> { entries, total, page, pageSize }
+ *   GET  {baseUrl}/scores/rank?score&period&seed                         -> { rank }
+ *   GET  {baseUrl}/scores/player?name&period&seed&around                 -> { rank, score, entries } or 404
+ */
+export class HttpBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - Server URL, e.g. http://localhost:8080
+   * @param {number} [options.timeout=8000] - Milliseconds before a request counts as failed
+   */
+  constructor({ baseUrl, timeout = 8000 }) {
+    this.name = 'http';
+    this.isShared = true; // Everyone's scores: submitted through the game server, which validates them
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.timeout = timeout;
+  }
+
+  async request(path, params = {}, options = {}) {
+    const url = new URL(`${this.baseUrl}${path}`, window.location.href);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) url.searchParams.set(key, value);
+    });
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    try {
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      if (response.status === 404 && options.allowNotFound) return null;
+      if (!response.ok) {
+        const error = new Error(`Leaderboard server answered ${response.status}`);
+        // Refused outright (bad entry, direct submissions disabled): retrying won't help
+        error.permanent = response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429;
+        throw error;
+      }
+      return response.status === 204 ? null : await response.json();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async submitScore(entry) {
+    await this.request('/scores', {}, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(entry)
+    });
+  }
+
+  async getLeaderboard({ period = 'all', seed = null, page = 0, pageSize = 10 } = {}) {
+    return this.request('/scores', { period, seed, page, pageSize });
+  }
+
+  async getPlayerRank(playerName, { period = 'all', seed = null, around = 2 } = {}) {
+    return this.request('/scores/player', { name: playerName, period, seed, around }, { allowNotFound: true });
+  }
+
+  async getScoreRank(score, { period = 'all', seed = null } = {}) {
+    const { rank } = await this.request('/scores/rank', { score, period, seed });
+    return rank;
+  }
+}
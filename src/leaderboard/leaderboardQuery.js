@@ -0,0 +1,81 @@
+// Leaderboard queries over a plain array of score entries.
+//
+// Used by the in-browser backend and by the reference HTTP server, so both answer the same
+// questions the same way the Supabase tables do. No DOM or storage access here.
+
+// Leaderboard time windows, in milliseconds back from now (null = all time)
+export const LEADERBOARD_PERIODS = {
+  all: null,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Entries inside a time window and/or on one seed, best score first
+ * @param {Array<Object>} entries - Score entries ({ player_name, score, game_time, artifacts_collected, seed, created_at })
+ * @param {Object} [filters]
+ * @param {string} [filters.period='all'] - Key of LEADERBOARD_PERIODS
+ * @param {string} [filters.seed] - Only entries set on this seed
+ * @param {number} [now=Date.now()] - Reference time for the period
+ * @returns {Array<Object>} Matching entries, sorted
+ */
+export function filterEntries(entries, { period = 'all', seed = null } = {}, now = Date.now()) {
+  const span = LEADERBOARD_PERIODS[period];
+  return entries
+    .filter(entry => !span || now - Date.parse(entry.created_at) <= span)
+    .filter(entry => !seed || entry.seed === seed)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * One page of a leaderboard
+ * @param {Array<Object>} entries - All score entries
+ * @param {Object} [options] - period / seed filters, page and pageSize
+ * @returns {{entries: Array<Object>, total: number, page: number, pageSize: number}}
+ */
+export function getLeaderboardPage(entries, { period, seed, page = 0, pageSize = 10 } = {}) {
+  const sorted = filterEntries(entries, { period, seed });
+  const from = page * pageSize;
+  return {
+    entries: withRanks(sorted.slice(from, from + pageSize), from),
+    total: sorted.length,
+    page,
+    pageSize
+  };
+}
+
+/**
+ * Leaderboard position a score would have (1 = top)
+ * @param {Array<Object>} entries - All score entries
+ * @param {number} score - Score to place
+ * @param {Object} [filters] - period / seed filters
+ * @returns {number} Rank
+ */
+export function getScoreRank(entries, score, filters = {}) {
+  return filterEntries(entries, filters).filter(entry => entry.score > score).length + 1;
+}
+
+/**
+ * A player's best score on a leaderboard and the entries around it
+ * @param {Array<Object>} entries - All score entries
+ * @param {string} playerName - Name the scores were saved under
+ * @param {Object} [options] - period / seed filters, and `around` (entries above and below)
+ * @returns {{rank: number, score: number, entries: Array<Object>}|null} null if the player has no score here
+ */
+export function getPlayerRank(entries, playerName, { period, seed, around = 2 } = {}) {
+  const sorted = filterEntries(entries, { period, seed });
+  const best = sorted.find(entry => entry.player_name === playerName);
+  if (!best) return null;
+
+  const rank = sorted.filter(entry => entry.score > best.score).length + 1;
+  const from = Math.max(0, rank - 1 - around);
+  return {
+    rank,
+    score: best.score,
+    entries: withRanks(sorted.slice(from, rank + around), from)
+  };
+}
+
+function withRanks(entries, offset) {
+  return entries.map((entry, index) => ({ ...entry, rank: offset + index + 1 }));
+}
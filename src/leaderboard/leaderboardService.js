@@ -0,0 +1,167 @@
+import { SupabaseBackend } from './supabaseBackend.js';
+import { HttpBackend } from './httpBackend.js';
+import { LocalBackend } from './localBackend.js';
+import { ScoreQueue } from './scoreQueue.js';
+
+/**
+ * Pick a backend from the build environment.
+ * VITE_LEADERBOARD_BACKEND forces one ('supabase', 'http' or 'local'); otherwise Supabase is
+ * used when its URL is set, then VITE_LEADERBOARD_URL, then the in-browser leaderboard.
+ * @param {Object} [env=import.meta.env] - Vite environment variables
+ * @returns {Object} Leaderboard backend
+ */
+export function createLeaderboardBackend(env = import.meta.env) {
+  const kind = env.VITE_LEADERBOARD_BACKEND
+    || (env.VITE_SUPABASE_URL ? 'supabase' : env.VITE_LEADERBOARD_URL ? 'http' : 'local');
+
+  switch (kind) {
+    case 'supabase':
+      return new SupabaseBackend({ url: env.VITE_SUPABASE_URL, anonKey: env.VITE_SUPABASE_ANON_KEY });
+    case 'http':
+      return new HttpBackend({ baseUrl: env.VITE_LEADERBOARD_URL || '' });
+    case 'local':
+      return new LocalBackend();
+    default:
+      console.warn(`Unknown leaderboard backend "${kind}", using the local one.`);
+      return new LocalBackend();
+  }
+}
+
+/**
+ * High scores for the game, on whichever backend is configured. Reads never throw (they come
+ * back empty when the backend is unreachable). Scores that fail to submit are queued in
+ * storage and retried when the browser comes back online, on the next load, or after the
+ * next successful submission. Scores the backend refuses outright (errors marked `permanent`)
+ * are dropped instead.
+ */
+export class LeaderboardService {
+  /**
+   * @param {Object} [backend] - Object with submitScore / getLeaderboard / getPlayerRank / getScoreRank
+   * @param {ScoreQueue} [queue] - Where failed submissions wait
+   */
+  constructor(backend = createLeaderboardBackend(), queue = new ScoreQueue()) {
+    this.backend = backend;
+    this.queue = queue;
+    this.isFlushing = false;
+
+    window.addEventListener('online', () => this.flushQueue());
+    this.flushQueue();
+  }
+
+  // Whether other players see this leaderboard; shared boards only take scores the game server has validated
+  get isShared() {
+    return !!this.backend.isShared;
+  }
+
+  /**
+   * Submit a score, queueing it for later if the backend can't be reached
+   * @returns {Promise<boolean>} Whether it was submitted now (false = queued or refused)
+   */
+  async saveHighScore(playerName, score, gameTime, artifactsCollected, seed = null) {
+    const entry = {
+      player_name: playerName,
+      score: Math.floor(score),
+      game_time: gameTime,
+      artifacts_collected: artifactsCollected,
+      seed,
+      created_at: new Date().toISOString() // Set here so queued scores keep when they were set
+    };
+
+    try {
+      await this.backend.submitScore(entry);
+    } catch (error) {
+      if (error.permanent) {
+        console.warn(`The ${this.backend.name} leaderboard refused the score:`, error.message);
+        return false;
+      }
+      console.warn(`Couldn't submit score to the ${this.backend.name} leaderboard, queued for retry:`, error.message);
+      this.queue.push(entry);
+      return false;
+    }
+
+    console.log(`Score ${entry.score} saved to the ${this.backend.name} leaderboard.`);
+    this.flushQueue(); // We're reachable again; send anything that was waiting
+    return true;
+  }
+
+  // Submit queued scores oldest first, stopping at the first failure (refused ones are dropped)
+  async flushQueue() {
+    if (this.isFlushing || this.queue.size === 0) return;
+    this.isFlushing = true;
+
+    try {
+      let entry;
+      while ((entry = this.queue.peek())) {
+        try {
+          await this.backend.submitScore(entry);
+        } catch (error) {
+          if (!error.permanent) throw error;
+          console.warn('Dropping a queued score the leaderboard refused:', error.message);
+        }
+        this.queue.shift();
+      }
+      console.log('Queued scores submitted.');
+    } catch (error) {
+      console.warn(`Queued scores still can't be submitted (${this.queue.size} waiting):`, error.message);
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
+  async getHighScores(limit = 10) {
+    const { entries } = await this.getLeaderboard({ pageSize: limit });
+    return entries;
+  }
+
+  /**
+   * Fetch one page of a leaderboard
+   * @param {Object} [options]
+   * @param {string} [options.period='all'] - Key of LEADERBOARD_PERIODS
+   * @param {string} [options.seed] - Only scores set on this level seed
+   * @param {number} [options.page=0] - Zero-based page index
+   * @param {number} [options.pageSize=10] - Entries per page
+   * @returns {Promise<{entries: Array<Object>, total: number, page: number, pageSize: number}>}
+   *   Entries carry their board position as `rank`
+   */
+  async getLeaderboard({ period = 'all', seed = null, page = 0, pageSize = 10 } = {}) {
+    try {
+      return await this.backend.getLeaderboard({ period, seed, page, pageSize });
+    } catch (error) {
+      console.error('Failed to fetch leaderboard:', error);
+      return { entries: [], total: 0, page, pageSize };
+    }
+  }
+
+  /**
+   * Find a player's best score on a leaderboard and the entries around it
+   * @param {string} playerName - Name the scores were saved under
+   * @param {Object} [options] - period / seed filters as in getLeaderboard()
+   * @param {number} [options.around=2] - Entries to include above and below the player
+   * @returns {Promise<{rank: number, score: number, entries: Array<Object>}|null>} null if the
+   *   player has no score on this board
+   */
+  async getPlayerRank(playerName, { period = 'all', seed = null, around = 2 } = {}) {
+    if (!playerName) return null;
+    try {
+      return await this.backend.getPlayerRank(playerName, { period, seed, around });
+    } catch (error) {
+      console.error('Failed to fetch player rank:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Leaderboard position a score would have (1 = top)
+   * @param {number} score - Score to place
+   * @param {Object} [filters] - period / seed filters as in getLeaderboard()
+   * @returns {Promise<number|null>} Rank, or null if it can't be looked up
+   */
+  async getScoreRank(score, filters = {}) {
+    try {
+      return await this.backend.getScoreRank(Math.floor(score), filters);
+    } catch (error) {
+      console.error('Failed to fetch score rank:', error);
+      return null;
+    }
+  }
+}
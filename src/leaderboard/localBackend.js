@@ -0,0 +1,41 @@
+import { Storage } from '../utils/storage.js';
+import { getLeaderboardPage, getPlayerRank, getScoreRank } from './leaderboardQuery.js';
+
+const STORAGE_KEY = 'local_leaderboard';
+
+/**
+ * Leaderboard kept in this browser only. Needs no network or accounts, which makes it the
+ * default when no server is configured and handy for development.
+ */
+export class LocalBackend {
+  constructor({ maxEntries = 500 } = {}) {
+    this.name = 'local';
+    this.isShared = false; // Only this player's scores, so they need no server-side checking
+    this.maxEntries = maxEntries; // Lowest scores are dropped past this
+  }
+
+  loadEntries() {
+    return Storage.load(STORAGE_KEY, []);
+  }
+
+  async submitScore(entry) {
+    const entries = this.loadEntries();
+    entries.push(entry);
+    entries.sort((a, b) => b.score - a.score);
+    if (!Storage.save(STORAGE_KEY, entries.slice(0, this.maxEntries))) {
+      throw new Error('Could not save score locally');
+    }
+  }
+
+  async getLeaderboard(options = {}) {
+    return getLeaderboardPage(this.loadEntries(), options);
+  }
+
+  async getPlayerRank(playerName, options = {}) {
+    return getPlayerRank(this.loadEntries(), playerName, options);
+  }
+
+  async getScoreRank(score, filters = {}) {
+    return getScoreRank(this.loadEntries(), score, filters);
+  }
+}
@@ -0,0 +1,55 @@
+import { Storage } from '../utils/storage.js';
+
+/**
+ * Scores that couldn't be submitted yet, kept in storage so they survive a reload.
+ * Entries are retried oldest first.
+ */
+export class ScoreQueue {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.key='pending_scores'] - Storage key the queue lives under
+   * @param {number} [options.maxEntries=50] - Oldest entries are dropped past this
+   */
+  constructor({ key = 'pending_scores', maxEntries = 50 } = {}) {
+    this.key = key;
+    this.maxEntries = maxEntries;
+  }
+
+  get size() {
+    return this.load().length;
+  }
+
+  load() {
+    return Storage.load(this.key, []);
+  }
+
+  push(entry) {
+    const entries = [...this.load(), entry].slice(-this.maxEntries);
+    Storage.save(this.key, entries);
+  }
+
+  peek() {
+    return this.load()[0] || null;
+  }
+
+  // Remove the oldest entry once it has been submitted
+  shift() {
+    Storage.save(this.key, this.load().slice(1));
+  }
+
+  /**
+   * Replace every entry with what a function returns for it, keeping the order
+   * @param {Function} transform - Called with each entry
+   */
+  update(transform) {
+    Storage.save(this.key, this.load().map(transform));
+  }
+
+  /**
+   * Remove the entries matching a test, wherever they are in the queue
+   * @param {Function} predicate - Called with each entry
+   */
+  remove(predicate) {
+    Storage.save(this.key, this.load().filter(entry => !predicate(entry)));
+  }
+}
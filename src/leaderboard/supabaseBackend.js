@@ -0,0 +1,107 @@
+import { LEADERBOARD_PERIODS } from './leaderboardQuery.js';
+
+const TABLE = 'high_scores';
+const LEADERBOARD_COLUMNS = 'player_name, score, game_time, artifacts_collected, seed, created_at';
+
+// Narrow a high_scores query to a time window and/or a single level seed
+function applyLeaderboardFilters(query, { period = 'all', seed = null } = {}) {
+  const span = LEADERBOARD_PERIODS[period];
+  if (span) {
+    query = query.gte('created_at', new Date(Date.now() - span).toISOString());
+  }
+  if (seed) {
+    query = query.eq('seed', seed);
+  }
+  return query;
+}
+
+// PostgreSQL error classes the same request will always hit again: data exceptions (22),
+// constraint violations (23) and access / schema errors such as an RLS denial or a missing column (42)
+const PERMANENT_ERROR_CLASSES = ['22', '23', '42'];
+
+// Supabase answers with { data, error } instead of throwing
+function unwrap({ data, count, error, status }) {
+  if (error) {
+    const wrapped = new Error(error.message || 'Supabase request failed');
+    // Refused outright rather than unreachable: retrying won't help
+    const code = typeof error.code === 'string' ? error.code : '';
+    wrapped.permanent = (status >= 400 && status < 500 && status !== 408 && status !== 429)
+      || PERMANENT_ERROR_CLASSES.includes(code.substring(0, 2));
+    throw wrapped;
+  }
+  return { data, count };
+}
+
+/**
+ * Leaderboard backend on a Supabase `high_scores` table. Needs the supabase-js client
+ * loaded from the CDN script in index.html. Every method throws when the client is
+ * missing or a request fails, so LeaderboardService can queue or fall back.
+ */
+export class SupabaseBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Project URL (VITE_SUPABASE_URL)
+   * @param {string} options.anonKey - Public anon key (VITE_SUPABASE_ANON_KEY)
+   */
+  constructor({ url, anonKey }) {
+    this.name = 'supabase';
+    this.isShared = true; // Everyone's scores: submitted through the game server, which validates them
+    this.client = null;
+
+    if (!url || !anonKey) {
+      console.error("Supabase URL or Anon Key missing. Check VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY.");
+    } else if (typeof supabase === 'undefined' || !supabase.createClient) {
+      console.error("Supabase client not loaded. Ensure the CDN script is in index.html.");
+    } else {
+      this.client = supabase.createClient(url, anonKey);
+    }
+  }
+
+  getClient() {
+    if (!this.client) throw new Error('Supabase client not available');
+    return this.client;
+  }
+
+  async submitScore(entry) {
+    unwrap(await this.getClient().from(TABLE).insert([entry]));
+  }
+
+  async getLeaderboard({ period = 'all', seed = null, page = 0, pageSize = 10 } = {}) {
+    const from = page * pageSize;
+    const query = this.getClient().from(TABLE).select(LEADERBOARD_COLUMNS, { count: 'exact' });
+    const { data, count } = unwrap(await applyLeaderboardFilters(query, { period, seed })
+      .order('score', { ascending: false })
+      .range(from, from + pageSize - 1));
+
+    const entries = (data || []).map((entry, index) => ({ ...entry, rank: from + index + 1 }));
+    return { entries, total: count || 0, page, pageSize };
+  }
+
+  async getPlayerRank(playerName, { period = 'all', seed = null, around = 2 } = {}) {
+    const bestQuery = this.getClient().from(TABLE).select('score').eq('player_name', playerName);
+    const { data: best } = unwrap(await applyLeaderboardFilters(bestQuery, { period, seed })
+      .order('score', { ascending: false })
+      .limit(1));
+    if (!best || best.length === 0) return null;
+
+    const score = best[0].score;
+    const rank = await this.getScoreRank(score, { period, seed });
+    const from = Math.max(0, rank - 1 - around);
+    const nearbyQuery = this.getClient().from(TABLE).select(LEADERBOARD_COLUMNS);
+    const { data } = unwrap(await applyLeaderboardFilters(nearbyQuery, { period, seed })
+      .order('score', { ascending: false })
+      .range(from, rank - 1 + around));
+
+    const entries = (data || []).map((entry, index) => ({ ...entry, rank: from + index + 1 }));
+    return { rank, score, entries };
+  }
+
+  async getScoreRank(score, filters = {}) {
+    const query = this.getClient()
+      .from(TABLE)
+      .select('score', { count: 'exact', head: true })
+      .gt('score', score);
+    const { count } = unwrap(await applyLeaderboardFilters(query, filters));
+    return (count || 0) + 1;
+  }
+}
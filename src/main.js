@@ -1,4 +1,5 @@
 import { Game } from './core/game.js';
+import { Profile } from './utils/profile.js';
 
 // Wait for DOM to be ready
 document.addEventListener('DOMContentLoaded', () => {
@@ -18,14 +19,14 @@ function showNameInputUI() {
   content.className = 'name-input-content';
 
   const title = document.createElement('h2');
-  title.textContent = 'Enter Your Name';
+  title.textContent = Profile.name ? 'Welcome Back' : 'Enter Your Name';
 
   const input = document.createElement('input');
   input.type = 'text';
   input.id = 'player-name-input';
   input.placeholder = 'Player Name';
   input.maxLength = 16;
-  input.value = "Player"; // Default value
+  input.value = Profile.name || "Player"; // Remembered from the last visit
 
   const startButton = document.createElement('button');
   startButton.id = 'start-game-button';
@@ -98,6 +99,7 @@ function showNameInputUI() {
       playerName = `Player_${Math.random().toString(36).substring(2, 7)}`;
     }
     playerName = playerName.substring(0, 16); // Enforce length limit again
+    Profile.setName(playerName);
 
     // Hide the name input overlay
     overlay.style.display = 'none'; 
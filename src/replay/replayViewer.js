@@ -0,0 +1,159 @@
+import { decodeFrames } from './runCodec.js';
+import { FreeCamera } from '../core/freeCamera.js';
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2];
+
+/**
+ * Plays back a recorded run: rebuilds the level from the run's seed, drives the
+ * player mesh from recorded frames and exposes pause / scrub / speed controls.
+ */
+export class ReplayViewer {
+  constructor(game) {
+    this.game = game;
+    this.isActive = false;
+    this.run = null;
+    this.frames = [];
+    this.pickups = []; // Pickup events, used to hide collected items while scrubbing
+    this.time = 0;
+    this.speed = 1;
+    this.isPaused = false;
+    this.frameIndex = 0;
+
+    this.freeCamera = new FreeCamera();
+    this.previousSeed = null; // Seed of the live level, restored on close
+  }
+
+  get duration() {
+    return this.run ? this.run.duration : 0;
+  }
+
+  /**
+   * Start watching a run
+   * @param {Object} run - Encoded run from RunRecorder
+   * @returns {Promise<boolean>} Whether the viewer opened
+   */
+  async open(run) {
+    if (this.isActive || !run || !run.data) return false;
+
+    const { levelManager, player, renderer, ui } = this.game;
+    this.isActive = true;
+    this.run = run;
+    this.frames = decodeFrames(run.data);
+    this.pickups = (run.events || []).filter(event => event.type === 'pickup');
+    this.previousSeed = levelManager.currentSeed;
+    this.speed = 1;
+    this.isPaused = false;
+
+    // Rebuild the exact layout the run was recorded on
+    await levelManager.loadLevel(0, { seed: run.seed });
+    renderer.setCollisionGrid(levelManager.collisionGrid);
+    levelManager.scene.add(player.mesh);
+    renderer.setFollowTarget(player.mesh);
+
+    this.seek(0);
+    ui.showReplayControls(run, this);
+    return true;
+  }
+
+  /**
+   * Leave the viewer and return to the live game
+   */
+  async close() {
+    if (!this.isActive) return;
+    this.isActive = false;
+    this.setFreeCamera(false);
+    this.game.ui.hideReplayControls();
+    await this.game.returnFromReplay(this.previousSeed);
+    this.run = null;
+    this.frames = [];
+  }
+
+  update(deltaTime) {
+    if (!this.isActive) return;
+
+    if (!this.isPaused) {
+      this.time += deltaTime * this.speed;
+      if (this.time >= this.duration) {
+        this.time = this.duration;
+        this.isPaused = true; // Hold on the last frame
+      }
+    }
+
+    this.applyTime();
+    this.game.levelManager.update(deltaTime, this.game.player); // Keep collectibles animating
+    this.freeCamera.update(deltaTime);
+    this.game.ui.updateReplayControls(this);
+  }
+
+  /**
+   * Jump to a point in the run
+   * @param {number} time - Seconds from the start of the run
+   */
+  seek(time) {
+    this.time = Math.max(0, Math.min(this.duration, time));
+    this.frameIndex = 0; // Search again from the start on the next applyTime()
+    this.applyTime();
+  }
+
+  togglePause() {
+    if (this.isPaused && this.time >= this.duration) {
+      this.time = 0; // Restart when pressing play at the end
+    }
+    this.isPaused = !this.isPaused;
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  setFreeCamera(enabled) {
+    const { renderer, player } = this.game;
+    if (enabled) {
+      renderer.setFollowTarget(null);
+      this.freeCamera.enable(renderer.camera, renderer.renderer.domElement);
+    } else {
+      this.freeCamera.disable();
+      renderer.setFollowTarget(player.mesh);
+    }
+  }
+
+  applyTime() {
+    const frames = this.frames;
+    if (frames.length === 0) return;
+
+    // Frames are time-ordered; step forwards from the last index (or back after a seek)
+    if (this.frameIndex >= frames.length || frames[this.frameIndex].time > this.time) {
+      this.frameIndex = 0;
+    }
+    while (this.frameIndex < frames.length - 1 && frames[this.frameIndex + 1].time <= this.time) {
+      this.frameIndex++;
+    }
+
+    const mesh = this.game.player.mesh;
+    const from = frames[this.frameIndex];
+    const to = frames[Math.min(this.frameIndex + 1, frames.length - 1)];
+    const span = to.time - from.time;
+    const t = span > 0 ? Math.min(1, Math.max(0, (this.time - from.time) / span)) : 0;
+
+    mesh.position.set(
+      from.position[0] + (to.position[0] - from.position[0]) * t,
+      from.position[1] + (to.position[1] - from.position[1]) * t,
+      from.position[2] + (to.position[2] - from.position[2]) * t
+    );
+    mesh.quaternion.fromArray(from.quaternion).normalize();
+
+    this.updateCollectibles();
+  }
+
+  // Hide items the player had already picked up at the current time
+  updateCollectibles() {
+    const collectedIds = new Set(
+      this.pickups.filter(event => event.time <= this.time).map(event => event.id)
+    );
+    this.game.levelManager.collectibles.forEach(collectible => {
+      if (collectible.mesh) {
+        collectible.mesh.visible = !collectedIds.has(collectible.id);
+      }
+    });
+  }
+}
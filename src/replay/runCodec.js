@@ -0,0 +1,116 @@
+// Compact, delta-encoded storage format for recorded runs.
+//
+// Each frame is quantized to integers and stored as the difference from the previous
+// frame, flattened into one array of FRAME_STRIDE values per frame:
+//   [time, x, y, z, qx, qy, qz, qw, input]
+// Consecutive frames barely differ, so most values are small numbers or zero.
+
+export const RUN_FORMAT_VERSION = 1;
+
+const FRAME_STRIDE = 9;
+const TIME_SCALE = 1000;        // Milliseconds
+const POSITION_SCALE = 100;     // Centimetres
+const ROTATION_SCALE = 10000;   // Quaternion components to 4 decimals
+
+// Input fields packed into a bitmask per frame
+export const INPUT_BITS = {
+  forward: 1,
+  backward: 2,
+  left: 4,
+  right: 8,
+  jump: 16,
+  down: 32,
+  action: 64,
+  interact: 128
+};
+
+/**
+ * Pack the boolean input fields into a bitmask
+ * @param {Object} inputState - Input state from InputManager
+ * @returns {number} Bitmask
+ */
+export function packInput(inputState = {}) {
+  let mask = 0;
+  for (const [field, bit] of Object.entries(INPUT_BITS)) {
+    if (inputState[field]) mask |= bit;
+  }
+  return mask;
+}
+
+/**
+ * Unpack an input bitmask back into boolean fields
+ * @param {number} mask - Bitmask from packInput
+ * @returns {Object} Input state
+ */
+export function unpackInput(mask) {
+  const inputState = {};
+  for (const [field, bit] of Object.entries(INPUT_BITS)) {
+    inputState[field] = (mask & bit) !== 0;
+  }
+  return inputState;
+}
+
+/**
+ * Encode frames into the delta format
+ * @param {Array<Object>} frames - Frames of { time, position: [x,y,z], quaternion: [x,y,z,w], input }
+ * @returns {Array<number>} Flat delta-encoded data
+ */
+export function encodeFrames(frames) {
+  const data = new Array(frames.length * FRAME_STRIDE);
+  const previous = new Array(FRAME_STRIDE).fill(0);
+
+  frames.forEach((frame, index) => {
+    const values = quantizeFrame(frame);
+    const offset = index * FRAME_STRIDE;
+    for (let i = 0; i < FRAME_STRIDE; i++) {
+      // Input is a bitmask, so store it as-is rather than as a delta
+      data[offset + i] = i === FRAME_STRIDE - 1 ? values[i] : values[i] - previous[i];
+      previous[i] = values[i];
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Decode the delta format back into frames
+ * @param {Array<number>} data - Flat data from encodeFrames
+ * @returns {Array<Object>} Frames of { time, position, quaternion, input }
+ */
+export function decodeFrames(data) {
+  const frames = [];
+  const current = new Array(FRAME_STRIDE).fill(0);
+
+  for (let offset = 0; offset + FRAME_STRIDE <= data.length; offset += FRAME_STRIDE) {
+    for (let i = 0; i < FRAME_STRIDE; i++) {
+      current[i] = i === FRAME_STRIDE - 1 ? data[offset + i] : current[i] + data[offset + i];
+    }
+    frames.push({
+      time: current[0] / TIME_SCALE,
+      position: [current[1] / POSITION_SCALE, current[2] / POSITION_SCALE, current[3] / POSITION_SCALE],
+      quaternion: [
+        current[4] / ROTATION_SCALE,
+        current[5] / ROTATION_SCALE,
+        current[6] / ROTATION_SCALE,
+        current[7] / ROTATION_SCALE
+      ],
+      input: current[8]
+    });
+  }
+
+  return frames;
+}
+
+function quantizeFrame(frame) {
+  return [
+    Math.round(frame.time * TIME_SCALE),
+    Math.round(frame.position[0] * POSITION_SCALE),
+    Math.round(frame.position[1] * POSITION_SCALE),
+    Math.round(frame.position[2] * POSITION_SCALE),
+    Math.round(frame.quaternion[0] * ROTATION_SCALE),
+    Math.round(frame.quaternion[1] * ROTATION_SCALE),
+    Math.round(frame.quaternion[2] * ROTATION_SCALE),
+    Math.round(frame.quaternion[3] * ROTATION_SCALE),
+    frame.input | 0
+  ];
+}
@@ -0,0 +1,84 @@
+import { RUN_FORMAT_VERSION, encodeFrames, packInput } from './runCodec.js';
+
+/**
+ * Records the local player's transform and input every frame of an attempt.
+ */
+export class RunRecorder {
+  constructor({ maxDuration = 15 * 60 } = {}) {
+    this.maxDuration = maxDuration; // Seconds; stop recording runaway attempts
+    this.isRecording = false;
+    this.seed = null;
+    this.elapsed = 0;
+    this.frames = [];
+    this.events = [];
+  }
+
+  /**
+   * Begin a new recording, discarding any unfinished one
+   * @param {string} seed - Seed of the level being played
+   */
+  start(seed) {
+    this.isRecording = true;
+    this.seed = seed;
+    this.elapsed = 0;
+    this.frames = [];
+    this.events = [];
+  }
+
+  /**
+   * Capture one frame
+   * @param {number} deltaTime - Seconds since the previous frame
+   * @param {THREE.Object3D} mesh - Player mesh
+   * @param {Object} inputState - Input state used this frame
+   */
+  recordFrame(deltaTime, mesh, inputState) {
+    if (!this.isRecording || this.elapsed > this.maxDuration) return;
+
+    this.elapsed += deltaTime;
+    this.frames.push({
+      time: this.elapsed,
+      position: mesh.position.toArray(),
+      quaternion: mesh.quaternion.toArray(),
+      input: packInput(inputState)
+    });
+  }
+
+  /**
+   * Mark a gameplay event (jump, fall, damage, pickup) on the run's timeline
+   * @param {string} type - Event type
+   * @param {Object} [data] - Extra details shown in the replay viewer
+   */
+  recordEvent(type, data = {}) {
+    if (!this.isRecording) return;
+    this.events.push({ time: this.elapsed, type, ...data });
+  }
+
+  /**
+   * Finish the recording
+   * @param {Object} [result] - Outcome of the attempt
+   * @param {boolean} [result.completed] - Whether the player reached the bottom
+   * @param {number} [result.score] - Score for the attempt
+   * @returns {Object|null} The encoded run, or null if nothing was recorded
+   */
+  stop({ completed = false, score = 0 } = {}) {
+    if (!this.isRecording) return null;
+    this.isRecording = false;
+
+    if (this.frames.length === 0) return null;
+
+    const run = {
+      version: RUN_FORMAT_VERSION,
+      seed: this.seed,
+      duration: this.elapsed,
+      completed,
+      score,
+      recordedAt: Date.now(),
+      frameCount: this.frames.length,
+      data: encodeFrames(this.frames),
+      events: this.events
+    };
+    this.frames = [];
+    this.events = [];
+    return run;
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Collects what the game server needs to check a run's score: position samples and
+ * pickup / damage events, stamped with the run clock. Batches are handed to the network
+ * layer and kept here until it is connected, so short drops don't leave gaps. A run that
+ * piles up more than maxPending unsent samples can no longer be checked and stops recording.
+ */
+export class RunTelemetry {
+  constructor({ sampleInterval = 0.1, maxPending = 6000 } = {}) {
+    this.sampleInterval = sampleInterval; // Seconds of run time between position samples
+    this.maxPending = maxPending; // Unsent samples kept before the run is given up as unverifiable
+    this.runId = null; // Identifies the run to the server across reconnects
+    this.seed = null;
+    this.isVerifiable = true; // False once telemetry had to be thrown away
+    this.lastSampleTime = -Infinity;
+    this.samples = [];
+    this.events = [];
+  }
+
+  /**
+   * Begin a new run, discarding anything unsent from the previous one
+   * @param {string} seed - Seed of the level being played
+   */
+  start(seed) {
+    this.runId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.seed = seed;
+    this.isVerifiable = true;
+    this.lastSampleTime = -Infinity;
+    this.samples = [];
+    this.events = [];
+  }
+
+  /**
+   * Sample the player's position (at most once per sampleInterval)
+   * @param {number} time - Run time in seconds
+   * @param {THREE.Vector3} position - Player position
+   * @param {boolean} [force=false] - Sample even if the interval hasn't passed (run end, pickups)
+   */
+  recordSample(time, position, force = false) {
+    if (!this.runId || !this.isVerifiable) return; // Not started, or given up
+    if (!force && time - this.lastSampleTime < this.sampleInterval) return;
+    if (time < this.lastSampleTime) return; // Keep samples in order
+    if (this.samples.length >= this.maxPending) {
+      // Dropping samples would cut a hole in the run (or its start), which the server rejects anyway
+      console.warn('Too much run telemetry waiting to be sent; this run can no longer be verified.');
+      this.isVerifiable = false;
+      this.samples = [];
+      this.events = [];
+      return;
+    }
+    this.lastSampleTime = time;
+    const round = value => Math.round(value * 100) / 100;
+    this.samples.push([round(time), round(position.x), round(position.y), round(position.z)]);
+  }
+
+  /**
+   * Mark a gameplay event
+   * @param {string} type - 'pickup' or 'damage'
+   * @param {number} time - Run time in seconds
+   * @param {Object} [data] - id / item / position for pickups, amount for damage
+   */
+  recordEvent(type, time, data = {}) {
+    if (!this.runId || !this.isVerifiable) return; // Not started, or given up
+    this.events.push({ type, time, ...data });
+  }
+
+  /**
+   * Take everything recorded since the last batch
+   * @returns {Object|null} { runId, seed, samples, events }, or null if there is nothing new
+   */
+  takeBatch() {
+    if (this.samples.length === 0 && this.events.length === 0) return null;
+    const batch = { runId: this.runId, seed: this.seed, samples: this.samples, events: this.events };
+    this.samples = [];
+    this.events = [];
+    return batch;
+  }
+}
@@ -1,5 +1,64 @@
 import * as THREE from 'three';
 import { formatTime } from '../utils/math.js';
+import { REPLAY_SPEEDS } from '../replay/replayViewer.js';
+import { INPUT_ACTION_LABELS, MAX_BINDINGS_PER_ACTION, formatKeyName } from '../core/input.js';
+
+const percent = value => `${Math.round(value * 100)}%`;
+const multiplier = value => `${value.toFixed(2)}x`;
+
+// Leaderboard tabs shared by the title screen and game-over screen
+const LEADERBOARD_TABS = [
+  { label: 'All Time', period: 'all' },
+  { label: 'Today', period: 'daily' },
+  { label: 'This Week', period: 'weekly' },
+  { label: 'This Layout', period: 'all', perSeed: true }
+];
+
+// One line of a scoreRun() breakdown, e.g. "Artifacts (2 × 1000): +2000"
+const formatScoreLine = line =>
+  `${line.label}${line.detail ? ` (${line.detail})` : ''}: ${line.points >= 0 ? '+' : ''}${line.points}`;
+
+// Layout of the settings panel; keys match DEFAULT_SETTINGS in utils/profile.js
+const SETTINGS_SECTIONS = [
+  {
+    title: 'Audio',
+    fields: [
+      { key: 'masterVolume', label: 'Master Volume', type: 'range', min: 0, max: 1, step: 0.05, format: percent },
+      { key: 'soundVolume', label: 'Effects Volume', type: 'range', min: 0, max: 1, step: 0.05, format: percent },
+      { key: 'musicVolume', label: 'Music Volume', type: 'range', min: 0, max: 1, step: 0.05, format: percent }
+    ]
+  },
+  {
+    title: 'Graphics',
+    fields: [
+      { key: 'shadowQuality', label: 'Shadows', type: 'select',
+        options: [['off', 'Off'], ['low', 'Low'], ['medium', 'Medium'], ['high', 'High']] },
+      { key: 'pixelRatioCap', label: 'Resolution Cap', type: 'select',
+        options: [[1, '1x'], [1.5, '1.5x'], [2, '2x'], [3, '3x']] },
+      { key: 'fogDistance', label: 'Fog Distance', type: 'range', min: 0.5, max: 2, step: 0.1, format: multiplier }
+    ]
+  },
+  {
+    title: 'Gameplay',
+    fields: [
+      { key: 'cameraSensitivity', label: 'Camera Sensitivity', type: 'range', min: 0.25, max: 3, step: 0.05, format: multiplier },
+      { key: 'invertControls', label: 'Invert Camera Y', type: 'checkbox' },
+      { key: 'movementScheme', label: 'Movement', type: 'select',
+        options: [['tank', 'Tank'], ['strafe', 'Strafe (camera-relative)']] }
+    ]
+  },
+  {
+    title: 'HUD',
+    fields: [
+      { key: 'showHealthBar', label: 'Health Bar', type: 'checkbox' },
+      { key: 'showDepthMeter', label: 'Depth Meter', type: 'checkbox' },
+      { key: 'showTimer', label: 'Timer', type: 'checkbox' },
+      { key: 'showControlsHint', label: 'Controls List', type: 'checkbox' },
+      { key: 'showChat', label: 'Chat', type: 'checkbox' },
+      { key: 'showConnectionStatus', label: 'Connection Status', type: 'checkbox' }
+    ]
+  }
+];
 
 export class UI {
   constructor() {
@@ -15,18 +74,29 @@ export class UI {
     this.memoryFlashback = null;
     this.fadeOverlay = null;
     this.gameOverScreen = null;
+    this.resultsScreen = null;
+    this.resultsButtons = [];
+    this.resultsIndex = 0;
+    this.lastResults = null; // Shown results, used by the Share button
     this.controlsDisplay = null;
     this.memoryLogPanel = null;
     this.dialogueBox = null;
     this.pauseScreen = null;
+    this.pauseMenuButtons = [];
+    this.pauseMenuIndex = 0; // Item focused by keyboard / gamepad navigation
     this.gameWonScreen = null;
     this.crosshair = null;
     this.healthBar = null;
     this.touchControls = {};
     this.chatUI = {};
     this.highScoreDisplay = {};
+    this.leaderboards = {}; // Tabbed leaderboard views by screen ('title', 'gameOver')
     this.initialHighScorePanel = null;
     this.masterMuteButton = null;
+    this.connectionStatus = null;
+    this.replayControls = null;
+    this.controlsSettings = null;
+    this.settingsPanel = null;
     
     this.isFading = false;
     this.activeMemoryTimeout = null;
@@ -60,9 +130,16 @@ export class UI {
     this.createTimerDisplay();
     if (this.timerDisplay) hudContainer.appendChild(this.timerDisplay.container);
 
-    // <<< Master Mute Button LAST in this group >>>
+    // <<< Master Mute Button LAST in this group, with the connection status beside it >>>
+    const hudButtonRow = document.createElement('div');
+    hudButtonRow.className = 'hud-button-row';
+    hudContainer.appendChild(hudButtonRow);
+    
+    this.createConnectionStatus();
+    if (this.connectionStatus) hudButtonRow.appendChild(this.connectionStatus.container);
+    
     this.createMasterMuteButton();
-    if (this.masterMuteButton) hudContainer.appendChild(this.masterMuteButton.button);
+    if (this.masterMuteButton) hudButtonRow.appendChild(this.masterMuteButton.button);
     
     // Create other UI elements (append directly to body or container as appropriate)
     this.createInteractionPrompt();
@@ -74,10 +151,15 @@ export class UI {
     this.createDialogueBox();
     this.createPauseScreen();
     this.createGameWonScreen();
+    this.createResultsScreen();
     this.createCrosshair();
     this.createTouchControls();
     this.createChatUI();
     this.createInitialHighScorePanel();
+    this.createReplayControls();
+    this.createControlsSettings();
+    this.createSettingsPanel();
+    this.updateControlsDisplay();
     
     // Add CSS
     this.addStyles();
@@ -209,12 +291,13 @@ export class UI {
         Time Taken: <span class="stat-value time-stat">00:00</span><br> 
         Artifacts Found: <span class="stat-value artifacts-stat">0 / 4</span><br> 
         Memories Recovered: <span class="stat-value memories-stat">0 / 4</span>
+        <ul class="score-breakdown"></ul>
       `;
       
     const highScoreContainer = document.createElement('div');
     highScoreContainer.className = 'high-score-list-container';
-    highScoreContainer.innerHTML = `<h4>High Scores</h4><ul class="high-score-list"><li>Loading...</li></ul>`;
-    this.highScoreDisplay.gameOverList = highScoreContainer.querySelector('.high-score-list');
+    highScoreContainer.innerHTML = `<h4>High Scores</h4><div class="leaderboard-view"></div>`;
+    this.leaderboards.gameOver = this.createLeaderboardView(highScoreContainer.querySelector('.leaderboard-view'));
       
     const restartButton = document.createElement('button');
     restartButton.className = 'restart-button';
@@ -244,17 +327,172 @@ export class UI {
     this.controlsDisplay.className = 'controls-display';
     this.controlsDisplay.innerHTML = `
       <h4>Controls</h4>
-      <ul>
-        <li><strong>W/↑:</strong> Forward</li>
-        <li><strong>S/↓:</strong> Backward</li>
-        <li><strong>A/←:</strong> Left</li> 
-        <li><strong>D/→:</strong> Right</li>
-        <li><strong>Space:</strong> Jump</li> 
-      </ul>
+      <ul></ul>
     `;
     this.container.appendChild(this.controlsDisplay);
   }
   
+  // Display name for the keys bound to an action, e.g. "W/↑"
+  getKeyLabel(action) {
+    const keys = this.inputManager?.getKeyBindings()[action] || [];
+    return keys.length > 0 ? keys.map(formatKeyName).join('/') : 'Unbound';
+  }
+  
+  // Rebuild the controls overlay and key prompts from the live key bindings
+  updateControlsDisplay() {
+    if (!this.controlsDisplay || !this.inputManager) return;
+    
+    const list = this.controlsDisplay.querySelector('ul');
+    list.innerHTML = '';
+    const addLine = (keys, label) => {
+      const item = document.createElement('li');
+      const strong = document.createElement('strong');
+      strong.textContent = `${keys}:`;
+      item.append(strong, ` ${label}`);
+      list.appendChild(item);
+    };
+    Object.entries(INPUT_ACTION_LABELS).forEach(([action, label]) => {
+      addLine(this.getKeyLabel(action), label);
+    });
+    addLine('Mouse', 'Look (click to capture)');
+    addLine('Wheel', 'Zoom');
+    
+    const pausePrompt = this.pauseScreen?.querySelector('.pause-prompt');
+    if (pausePrompt) pausePrompt.textContent = `Press '${this.getKeyLabel('pause')}' to resume`;
+    const dialoguePrompt = document.getElementById('dialogue-prompt');
+    if (dialoguePrompt) dialoguePrompt.textContent = `Press [${this.getKeyLabel('interact')}] to continue...`;
+  }
+  
+  // <<< ADD: Controls settings screen for rebinding keys >>>
+  createControlsSettings() {
+    const container = document.createElement('div');
+    container.className = 'controls-settings';
+    container.style.display = 'none';
+    container.innerHTML = `
+      <div class="controls-settings-content">
+        <h2>Controls</h2>
+        <p class="controls-settings-message">Select a slot, then press a key.</p>
+        <table class="controls-settings-table"><tbody></tbody></table>
+        <div class="controls-settings-buttons">
+          <button class="controls-reset-button">Reset to Defaults</button>
+          <button class="controls-close-button">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(container);
+    
+    this.controlsSettings = {
+      container,
+      message: container.querySelector('.controls-settings-message'),
+      rows: container.querySelector('tbody')
+    };
+    
+    container.querySelector('.controls-reset-button').addEventListener('click', () => {
+      this.inputManager.cancelKeyCapture();
+      this.inputManager.resetKeyBindings();
+      this.setControlsMessage('Controls reset to defaults.');
+      this.refreshBindings();
+    });
+    container.querySelector('.controls-close-button').addEventListener('click', () => {
+      this.hideControlsSettings();
+    });
+  }
+  
+  showControlsSettings() {
+    if (!this.controlsSettings) return;
+    this.panelFocus = null; // Keyboard / gamepad focus starts at the top
+    this.setControlsMessage('Select a slot, then press a key.');
+    this.renderControlsSettings();
+    this.controlsSettings.container.style.display = 'flex';
+  }
+  
+  hideControlsSettings() {
+    if (!this.controlsSettings) return;
+    this.inputManager?.cancelKeyCapture();
+    this.controlsSettings.container.style.display = 'none';
+  }
+  
+  setControlsMessage(text) {
+    if (this.controlsSettings) this.controlsSettings.message.textContent = text;
+  }
+  
+  // Bindings changed: update the settings table and everything that shows key names
+  refreshBindings() {
+    this.renderControlsSettings();
+    this.updateControlsDisplay();
+  }
+  
+  renderControlsSettings(activeAction = null, activeSlot = null) {
+    const rows = this.controlsSettings.rows;
+    const bindings = this.inputManager.getKeyBindings();
+    rows.innerHTML = '';
+    
+    Object.entries(INPUT_ACTION_LABELS).forEach(([action, label]) => {
+      const row = document.createElement('tr');
+      const name = document.createElement('td');
+      name.textContent = label;
+      row.appendChild(name);
+      
+      for (let slot = 0; slot < MAX_BINDINGS_PER_ACTION; slot++) {
+        const cell = document.createElement('td');
+        const button = document.createElement('button');
+        button.className = 'controls-slot-button';
+        const key = bindings[action][slot];
+        if (action === activeAction && slot === activeSlot) {
+          button.textContent = 'Press a key...';
+          button.classList.add('active');
+        } else {
+          button.textContent = key !== undefined ? formatKeyName(key) : '—';
+        }
+        button.addEventListener('click', () => this.beginKeyCapture(action, slot));
+        cell.appendChild(button);
+        row.appendChild(cell);
+      }
+      rows.appendChild(row);
+    });
+  }
+  
+  /**
+   * Wait for a key for one binding slot.
+   * A key that belongs to another action must be pressed twice to confirm moving it.
+   * @param {string} action - Action being rebound
+   * @param {number} slot - Binding slot
+   * @param {string|null} pendingKey - Conflicting key awaiting confirmation
+   */
+  beginKeyCapture(action, slot, pendingKey = null) {
+    this.renderControlsSettings(action, slot);
+    if (!pendingKey) {
+      this.setControlsMessage(`Press a key for ${INPUT_ACTION_LABELS[action]} (Esc to cancel, Backspace to clear).`);
+    }
+    
+    this.inputManager.captureNextKey(key => {
+      if (key === 'Escape') {
+        this.setControlsMessage('Cancelled.');
+        this.renderControlsSettings();
+        return;
+      }
+      if (key === 'Backspace' || key === 'Delete') {
+        this.inputManager.unbindKey(action, slot);
+        this.setControlsMessage(`Cleared a binding for ${INPUT_ACTION_LABELS[action]}.`);
+        this.refreshBindings();
+        return;
+      }
+      
+      const conflict = this.inputManager.findKeyConflict(action, key);
+      if (conflict && key !== pendingKey) {
+        this.setControlsMessage(`${formatKeyName(key)} is already bound to ${INPUT_ACTION_LABELS[conflict]}. Press it again to move it to ${INPUT_ACTION_LABELS[action]}, or press another key.`);
+        this.beginKeyCapture(action, slot, key);
+        return;
+      }
+      
+      this.inputManager.bindKey(action, key, slot);
+      this.setControlsMessage(conflict
+        ? `${formatKeyName(key)} moved from ${INPUT_ACTION_LABELS[conflict]} to ${INPUT_ACTION_LABELS[action]}.`
+        : `${formatKeyName(key)} bound to ${INPUT_ACTION_LABELS[action]}.`);
+      this.refreshBindings();
+    });
+  }
+  
   createMemoryLogPanel() {
     this.memoryLogPanel = document.createElement('div');
     this.memoryLogPanel.className = 'memory-log-panel';
@@ -300,6 +538,125 @@ export class UI {
     // Close on next interact press (will be handled in Game update)
   }
   
+  // <<< ADD: Settings panel (audio, graphics, gameplay, HUD) >>>
+  createSettingsPanel() {
+    const container = document.createElement('div');
+    container.className = 'settings-panel';
+    container.style.display = 'none';
+    container.innerHTML = `
+      <div class="settings-panel-content">
+        <h2>Settings</h2>
+        <div class="settings-sections"></div>
+        <div class="settings-panel-buttons">
+          <button class="settings-reset-button">Reset to Defaults</button>
+          <button class="settings-close-button">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(container);
+    
+    const sections = container.querySelector('.settings-sections');
+    const inputs = {};
+    SETTINGS_SECTIONS.forEach(section => {
+      const fieldset = document.createElement('fieldset');
+      const legend = document.createElement('legend');
+      legend.textContent = section.title;
+      fieldset.appendChild(legend);
+      
+      section.fields.forEach(field => {
+        const row = document.createElement('label');
+        row.className = 'settings-row';
+        const name = document.createElement('span');
+        name.textContent = field.label;
+        row.appendChild(name);
+        
+        const input = this.createSettingsInput(field);
+        row.appendChild(input.element);
+        if (input.value) row.appendChild(input.value);
+        inputs[field.key] = { field, ...input };
+        fieldset.appendChild(row);
+      });
+      sections.appendChild(fieldset);
+    });
+    
+    this.settingsPanel = { container, inputs };
+    
+    container.querySelector('.settings-reset-button').addEventListener('click', () => {
+      window.game?.resetSettings();
+      this.renderSettingsPanel();
+    });
+    container.querySelector('.settings-close-button').addEventListener('click', () => {
+      this.hideSettingsPanel();
+    });
+  }
+  
+  // Build the control for one setting; changes are applied and saved as soon as they happen
+  createSettingsInput(field) {
+    let element;
+    let value = null;
+    const apply = newValue => window.game?.updateSettings({ [field.key]: newValue });
+    
+    if (field.type === 'range') {
+      element = document.createElement('input');
+      element.type = 'range';
+      element.min = field.min;
+      element.max = field.max;
+      element.step = field.step;
+      value = document.createElement('span');
+      value.className = 'settings-value';
+      element.addEventListener('input', () => {
+        const number = Number(element.value);
+        value.textContent = field.format(number);
+        apply(number);
+      });
+    } else if (field.type === 'select') {
+      element = document.createElement('select');
+      field.options.forEach(([optionValue, optionLabel]) => {
+        const option = document.createElement('option');
+        option.value = String(optionValue);
+        option.textContent = optionLabel;
+        element.appendChild(option);
+      });
+      // Look the value up by index so numeric options stay numbers
+      element.addEventListener('change', () => apply(field.options[element.selectedIndex][0]));
+    } else {
+      element = document.createElement('input');
+      element.type = 'checkbox';
+      element.addEventListener('change', () => apply(element.checked));
+    }
+    return { element, value };
+  }
+  
+  showSettingsPanel() {
+    if (!this.settingsPanel) return;
+    this.panelFocus = null; // Keyboard / gamepad focus starts at the top
+    this.renderSettingsPanel();
+    this.settingsPanel.container.style.display = 'flex';
+  }
+  
+  hideSettingsPanel() {
+    if (!this.settingsPanel) return;
+    this.settingsPanel.container.style.display = 'none';
+  }
+  
+  // Fill the panel's controls from the saved settings
+  renderSettingsPanel() {
+    const settings = window.game?.getSettings();
+    if (!settings) return;
+    
+    Object.values(this.settingsPanel.inputs).forEach(({ field, element, value }) => {
+      const current = settings[field.key];
+      if (field.type === 'range') {
+        element.value = current;
+        value.textContent = field.format(current);
+      } else if (field.type === 'select') {
+        element.selectedIndex = Math.max(0, field.options.findIndex(([optionValue]) => optionValue === current));
+      } else {
+        element.checked = !!current;
+      }
+    });
+  }
+  
   createPauseScreen() {
     this.pauseScreen = document.createElement('div');
     this.pauseScreen.className = 'pause-screen';
@@ -307,10 +664,136 @@ export class UI {
     this.pauseScreen.innerHTML = `
       <div class="pause-content">
         <h1>PAUSED</h1>
-        <p>Press 'P' to resume</p>
+        <p class="pause-prompt">Press 'P' to resume</p>
+        <div class="pause-menu">
+          <button class="pause-menu-button" data-action="resume">Resume</button>
+          <button class="pause-menu-button" data-action="restart">Restart Attempt</button>
+          <button class="pause-menu-button" data-action="settings">Settings</button>
+          <button class="pause-menu-button" data-action="controls">Controls</button>
+          <button class="pause-menu-button" data-action="memoryLog">Memory Log</button>
+          <button class="pause-menu-button" data-action="replay">Watch Last Run</button>
+          <button class="pause-menu-button" data-action="title">Return to Title</button>
+        </div>
       </div>
     `;
     document.body.appendChild(this.pauseScreen);
+    
+    const menuActions = {
+      resume: () => window.game?.togglePause(),
+      restart: () => window.game?.restartAttempt(),
+      settings: () => this.showSettingsPanel(),
+      controls: () => this.showControlsSettings(),
+      memoryLog: () => window.game?.openMemoryLog(),
+      replay: () => window.game?.startReplay(),
+      title: () => window.game?.returnToTitle()
+    };
+    this.pauseMenuButtons = Array.from(this.pauseScreen.querySelectorAll('.pause-menu-button'));
+    this.pauseMenuButtons.forEach((button, index) => {
+      button.addEventListener('click', () => menuActions[button.dataset.action]());
+      // Mouse and touch move the same highlight that keyboard / gamepad navigation uses
+      button.addEventListener('pointerenter', () => this.focusPauseMenuItem(index));
+    });
+  }
+  
+  focusPauseMenuItem(index) {
+    const buttons = this.pauseMenuButtons;
+    if (buttons.length === 0) return;
+    this.pauseMenuIndex = (index + buttons.length) % buttons.length;
+    buttons.forEach((button, i) => button.classList.toggle('focused', i === this.pauseMenuIndex));
+    buttons[this.pauseMenuIndex].focus({ preventScroll: true });
+  }
+  
+  /**
+   * Navigate the pause menu with game actions, so the same keys and gamepad buttons work in menus:
+   * forward/backward move the focus, jump/interact select, action backs out.
+   * @param {Object} inputState - Input state from InputManager
+   */
+  handlePauseMenuInput(inputState) {
+    const { pressed } = inputState;
+    
+    const submenu = this.getOpenPauseSubmenu();
+    if (submenu) {
+      if (pressed.action) {
+        submenu.close();
+        this.focusPauseMenuItem(this.pauseMenuIndex);
+      } else if (submenu.navigable) {
+        this.handlePanelInput(submenu.container, pressed);
+      }
+      return;
+    }
+    
+    if (pressed.forward) {
+      this.focusPauseMenuItem(this.pauseMenuIndex - 1);
+    } else if (pressed.backward) {
+      this.focusPauseMenuItem(this.pauseMenuIndex + 1);
+    } else if (pressed.jump || pressed.interact) {
+      this.pauseMenuButtons[this.pauseMenuIndex]?.click();
+    } else if (pressed.action) {
+      window.game?.togglePause();
+    }
+  }
+  
+  // The overlay opened from the pause menu as { container, close, navigable }, or null if none is open
+  getOpenPauseSubmenu() {
+    const submenus = [
+      { container: this.settingsPanel?.container, close: () => this.hideSettingsPanel(), navigable: true },
+      { container: this.controlsSettings?.container, close: () => this.hideControlsSettings(), navigable: true },
+      { container: this.memoryLogPanel, close: () => this.hideMemoryLog(), navigable: false }
+    ];
+    return submenus.find(({ container }) => container && container.style.display !== 'none') || null;
+  }
+  
+  /**
+   * Navigate the settings or controls panel like the pause menu: forward/backward move the focus
+   * through its controls, left/right adjust sliders, dropdowns and checkboxes, jump/interact
+   * press the focused button (a binding slot then waits for a key).
+   * @param {HTMLElement} container - The open panel
+   * @param {Object} pressed - Actions pressed this frame
+   */
+  handlePanelInput(container, pressed) {
+    const items = Array.from(container.querySelectorAll('input, select, button'));
+    if (items.length === 0) return;
+    if (this.panelFocus?.container !== container) {
+      this.panelFocus = { container, index: 0 };
+    }
+    
+    let index = this.panelFocus.index;
+    if (pressed.forward) index--;
+    if (pressed.backward) index++;
+    index = (index + items.length) % items.length;
+    this.panelFocus.index = index;
+    
+    // Also restores the highlight after the bindings table is rebuilt
+    const item = items[index];
+    if (!item.classList.contains('focused')) {
+      items.forEach(element => element.classList.toggle('focused', element === item));
+      item.focus({ preventScroll: true });
+      item.scrollIntoView({ block: 'nearest' });
+    }
+    
+    if (pressed.left || pressed.right) {
+      this.adjustPanelItem(item, pressed.right ? 1 : -1);
+    } else if (pressed.jump || pressed.interact) {
+      if (item.tagName === 'SELECT') {
+        this.adjustPanelItem(item, 1);
+      } else {
+        item.click();
+      }
+    }
+  }
+  
+  // Step a slider or dropdown, or toggle a checkbox, firing the same events the mouse would
+  adjustPanelItem(item, direction) {
+    if (item.type === 'range') {
+      item.value = Number(item.value) + direction * Number(item.step || 1); // The browser clamps to min/max
+      item.dispatchEvent(new Event('input'));
+    } else if (item.tagName === 'SELECT') {
+      const optionCount = item.options.length;
+      item.selectedIndex = (item.selectedIndex + direction + optionCount) % optionCount;
+      item.dispatchEvent(new Event('change'));
+    } else if (item.type === 'checkbox') {
+      item.click();
+    }
   }
   
   createGameWonScreen() {
@@ -326,6 +809,7 @@ export class UI {
           Time Taken: <span class="stat-value time-stat">00:00</span><br>
           Artifacts Found: <span class="stat-value artifacts-stat">0 / 4</span><br>
           Memories Recovered: <span class="stat-value memories-stat">0 / 4</span>
+          <ul class="score-breakdown"></ul>
         </div>
         <button class="restart-button" id="play-again-button">Play Again?</button>
       </div>
@@ -356,28 +840,32 @@ export class UI {
     const controlsContainer = document.createElement('div');
     controlsContainer.className = 'touch-controls-container';
 
-    // Movement Buttons (Left Side)
-    const moveContainer = document.createElement('div');
-    moveContainer.className = 'touch-move-container';
-    this.touchControls.forward = this.createTouchButton('▲', 'forward', moveContainer);
-    const leftRightContainer = document.createElement('div');
-    leftRightContainer.className = 'touch-left-right';
-    this.touchControls.left = this.createTouchButton('◄', 'left', leftRightContainer);
-    this.touchControls.right = this.createTouchButton('►', 'right', leftRightContainer);
-    moveContainer.appendChild(leftRightContainer);
-    this.touchControls.backward = this.createTouchButton('▼', 'backward', moveContainer);
-
-    // Action Buttons (Right Side)
+    // Floating joystick (Left Side) - the base appears wherever the thumb lands
+    const joystickZone = document.createElement('div');
+    joystickZone.className = 'touch-joystick-zone';
+    joystickZone.innerHTML = `
+      <div class="touch-joystick-base">
+        <div class="touch-joystick-knob"></div>
+      </div>
+    `;
+    this.touchControls.joystick = joystickZone;
+
+    // Swipe-to-look area (Right Side)
+    const lookZone = document.createElement('div');
+    lookZone.className = 'touch-look-zone';
+    this.touchControls.look = lookZone;
+
+    // Action Buttons (Right Side, above the look area)
     const actionContainer = document.createElement('div');
     actionContainer.className = 'touch-action-container';
+    this.touchControls.pause = this.createTouchButton('II', 'pause', actionContainer);
+    this.touchControls.interact = this.createTouchButton('E', 'interact', actionContainer);
+    this.touchControls.action = this.createTouchButton('F', 'action', actionContainer);
+    this.touchControls.lookDown = this.createTouchButton('▼', 'lookDown', actionContainer);
     this.touchControls.jump = this.createTouchButton('JUMP', 'jump', actionContainer); // Or an icon
-    // this.touchControls.interact = this.createTouchButton('E', 'interact', actionContainer);
-    // this.touchControls.action = this.createTouchButton('F', 'action', actionContainer);
-    // Maybe a pause button? Keep Pause for now
-    this.touchControls.pause = this.createTouchButton('P', 'pause', actionContainer);
 
-
-    controlsContainer.appendChild(moveContainer);
+    controlsContainer.appendChild(lookZone);
+    controlsContainer.appendChild(joystickZone);
     controlsContainer.appendChild(actionContainer);
     document.body.appendChild(controlsContainer); // Append to body to overlay game canvas
     
@@ -571,6 +1059,55 @@ export class UI {
       .game-over-stats .time-stat { color: #cccccc; } /* Grey for time */
       .game-over-stats .artifacts-stat { color: #ffdddd; } 
       .game-over-stats .memories-stat { color: #ddddff; } 
+      #results-screen {
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          background-color: rgba(0, 0, 0, 0.75);
+          z-index: 450;
+          display: none;
+          justify-content: center;
+          align-items: center;
+          color: white;
+          font-family: Arial, sans-serif;
+      }
+      .results-content {
+          background-color: rgba(20, 30, 50, 0.95);
+          max-width: 90%;
+          max-height: 90%;
+          overflow-y: auto;
+      }
+      .results-score {
+          font-size: 42px;
+          font-weight: bold;
+          color: #ffffaa;
+      }
+      .results-best, .results-rank {
+          font-size: 14px;
+          opacity: 0.9;
+          min-height: 1.2em;
+      }
+      .results-stats {
+          margin: 15px 0 10px;
+      }
+      .results-actions .pause-menu-button {
+          display: inline-block;
+          min-width: 120px;
+          margin: 12px 6px 0;
+      }
+      .results-actions .pause-menu-button:disabled {
+          opacity: 0.5;
+          cursor: default;
+      }
+      .score-breakdown {
+          list-style: none;
+          padding: 0;
+          margin: 10px 0 0;
+          font-size: 14px;
+          opacity: 0.85;
+      }
       .restart-button {
         padding: 15px 30px;
         background-color: #ff4444;
@@ -626,7 +1163,7 @@ export class UI {
         display: none;
         justify-content: center;
         align-items: center;
-        z-index: 1000;
+        z-index: 1150; /* Above the pause menu it opens from */
         font-family: sans-serif;
       }
 
@@ -802,6 +1339,252 @@ export class UI {
         font-size: 20px;
         opacity: 0.8;
       }
+      
+      .pause-menu-button {
+        display: block;
+        min-width: 220px;
+        margin: 12px auto 0;
+        padding: 10px 20px;
+        touch-action: manipulation;
+        background-color: #337ab7;
+        border: none;
+        border-radius: 5px;
+        color: white;
+        font-size: 16px;
+        cursor: pointer;
+        outline: none;
+      }
+      .pause-menu-button.focused {
+        background-color: #5aa0e0;
+        box-shadow: 0 0 0 2px white;
+      }
+      .settings-panel .focused,
+      .controls-settings .focused {
+        outline: 2px solid white;
+        outline-offset: 2px;
+      }
+      @media (pointer: coarse) {
+        .pause-menu-button {
+          padding: 14px 20px; /* Larger tap targets */
+        }
+      }
+      
+      /* Controls settings (key rebinding) */
+      .controls-settings {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background-color: rgba(0, 0, 0, 0.6);
+        display: none;
+        justify-content: center;
+        align-items: center;
+        z-index: 1150;
+        color: white;
+        font-family: Arial, sans-serif;
+      }
+      .controls-settings-content {
+        background-color: rgba(0, 20, 40, 0.95);
+        border: 1px solid #337ab7;
+        border-radius: 10px;
+        padding: 20px 30px;
+        max-height: 90vh;
+        overflow-y: auto;
+        text-align: center;
+      }
+      .controls-settings-content h2 {
+        margin-top: 0;
+      }
+      .controls-settings-message {
+        min-height: 1.2em;
+        max-width: 420px;
+        margin: 0 auto 10px;
+        font-size: 14px;
+        opacity: 0.85;
+      }
+      .controls-settings-table {
+        margin: 0 auto;
+        border-collapse: collapse;
+      }
+      .controls-settings-table td {
+        padding: 3px 8px;
+        text-align: left;
+      }
+      .controls-slot-button {
+        min-width: 110px;
+        padding: 5px 10px;
+        background-color: rgba(255, 255, 255, 0.1);
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        border-radius: 4px;
+        color: white;
+        cursor: pointer;
+      }
+      .controls-slot-button.active {
+        background-color: #337ab7;
+      }
+      .controls-settings-buttons {
+        margin-top: 15px;
+        display: flex;
+        justify-content: center;
+        gap: 10px;
+      }
+      .controls-settings-buttons button {
+        padding: 8px 16px;
+        background-color: #337ab7;
+        border: none;
+        border-radius: 5px;
+        color: white;
+        cursor: pointer;
+      }
+      
+      /* Settings panel */
+      .settings-panel {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background-color: rgba(0, 0, 0, 0.6);
+        display: none;
+        justify-content: center;
+        align-items: center;
+        z-index: 1150;
+        color: white;
+        font-family: Arial, sans-serif;
+      }
+      .settings-panel-content {
+        background-color: rgba(0, 20, 40, 0.95);
+        border: 1px solid #337ab7;
+        border-radius: 10px;
+        padding: 20px 30px;
+        max-height: 90vh;
+        overflow-y: auto;
+        min-width: 320px;
+      }
+      .settings-panel-content h2 {
+        margin-top: 0;
+        text-align: center;
+      }
+      .settings-sections fieldset {
+        border: 1px solid rgba(255, 255, 255, 0.25);
+        border-radius: 6px;
+        margin: 0 0 12px;
+        padding: 8px 12px;
+      }
+      .settings-sections legend {
+        padding: 0 5px;
+        color: #8fc3ff;
+      }
+      .settings-row {
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        padding: 4px 0;
+        font-size: 14px;
+      }
+      .settings-row span:first-child {
+        flex: 1;
+      }
+      .settings-row input[type="range"] {
+        width: 140px;
+      }
+      .settings-value {
+        min-width: 42px;
+        text-align: right;
+        opacity: 0.8;
+      }
+      .settings-panel-buttons {
+        margin-top: 5px;
+        display: flex;
+        justify-content: center;
+        gap: 10px;
+      }
+      .settings-panel-buttons button {
+        padding: 8px 16px;
+        background-color: #337ab7;
+        border: none;
+        border-radius: 5px;
+        color: white;
+        cursor: pointer;
+      }
+      .hud-hidden {
+        display: none !important;
+      }
+      
+      /* Replay viewer controls */
+      .replay-controls {
+        position: fixed;
+        left: 50%;
+        bottom: 20px;
+        transform: translateX(-50%);
+        width: 80%;
+        max-width: 900px;
+        background-color: rgba(0, 10, 20, 0.85);
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        border-radius: 8px;
+        padding: 10px 15px;
+        z-index: 1050;
+        color: white;
+        font-family: Arial, sans-serif;
+        display: none;
+        flex-direction: column;
+        gap: 8px;
+      }
+      .replay-timeline {
+        position: relative;
+        height: 24px;
+      }
+      .replay-scrubber {
+        width: 100%;
+        margin: 0;
+        position: absolute;
+        top: 4px;
+        cursor: pointer;
+      }
+      .replay-markers {
+        position: absolute;
+        left: 0;
+        right: 0;
+        top: 0;
+        height: 6px;
+        pointer-events: none;
+      }
+      .replay-marker {
+        position: absolute;
+        width: 3px;
+        height: 6px;
+        margin-left: -1px;
+        border-radius: 1px;
+      }
+      .replay-marker.jump { background-color: #88ccff; }
+      .replay-marker.fall { background-color: #ffaa33; }
+      .replay-marker.damage { background-color: #f44336; }
+      .replay-marker.pickup { background-color: #ffee55; }
+      .replay-buttons {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        flex-wrap: wrap;
+      }
+      .replay-buttons button {
+        padding: 5px 10px;
+        background-color: rgba(255, 255, 255, 0.15);
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        border-radius: 4px;
+        color: white;
+        cursor: pointer;
+      }
+      .replay-buttons button.active {
+        background-color: #337ab7;
+      }
+      .replay-time {
+        font-family: 'Courier New', Courier, monospace;
+        margin: 0 8px;
+      }
+      .replay-spacer {
+        flex: 1;
+      }
 
       .game-won-screen {
         position: fixed;
@@ -868,35 +1651,105 @@ export class UI {
       /* <<< ADD: Touch Control Styles >>> */
       .touch-controls-container {
         position: fixed;
-        bottom: 0;
+        top: 0;
         left: 0;
         width: 100%;
-        height: 150px; /* Adjust height as needed */
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-        padding: 20px;
-        box-sizing: border-box;
+        height: 100%;
         pointer-events: none; /* Allow clicks/touches to pass through container */
         z-index: 100; /* Ensure controls are above canvas */
       }
 
-      .touch-move-container,
+      /* Left side: floating joystick */
+      .touch-joystick-zone {
+        position: absolute;
+        left: 0;
+        bottom: 0;
+        width: 45%;
+        height: 60%;
+        pointer-events: auto;
+        touch-action: none;
+      }
+      
+      .touch-joystick-base {
+        position: absolute;
+        width: 120px;
+        height: 120px;
+        margin: -60px 0 0 -60px; /* Centre on the touch point */
+        border-radius: 50%;
+        background-color: rgba(100, 100, 100, 0.3);
+        border: 2px solid rgba(255, 255, 255, 0.5);
+        display: none;
+        pointer-events: none;
+      }
+      
+      .touch-joystick-base.active {
+        display: block;
+      }
+      
+      .touch-joystick-knob {
+        position: absolute;
+        left: 50%;
+        top: 50%;
+        width: 50px;
+        height: 50px;
+        border-radius: 50%;
+        background-color: rgba(200, 200, 200, 0.7);
+        transform: translate(-50%, -50%);
+      }
+
+      /* Right side: swipe to look (kept clear of the HUD at the top) */
+      .touch-look-zone {
+        position: absolute;
+        right: 0;
+        bottom: 0;
+        width: 55%;
+        height: 75%;
+        pointer-events: auto;
+        touch-action: none;
+      }
+
       .touch-action-container {
-        display: flex;
-        flex-direction: column;
+        position: absolute;
+        right: 15px;
+        bottom: 15px;
+        display: grid;
+        grid-template-columns: repeat(2, auto);
+        gap: 5px;
+        justify-items: center;
         align-items: center;
         pointer-events: auto; /* Enable touch on button areas */
       }
       
-      .touch-action-container {
-         align-items: flex-end; /* Align action buttons to the right */
+      /* Portrait phones: shorter zones and a smaller joystick */
+      @media (orientation: portrait) {
+        .touch-joystick-zone {
+          width: 50%;
+          height: 45%;
+        }
+        .touch-look-zone {
+          width: 50%;
+          height: 60%;
+        }
+        .touch-joystick-base {
+          width: 100px;
+          height: 100px;
+          margin: -50px 0 0 -50px;
+        }
       }
       
-      .touch-left-right {
-          display: flex;
-          width: 100%;
-          justify-content: space-between;
+      /* Landscape phones: narrow side zones so the middle of the screen stays visible */
+      @media (orientation: landscape) and (max-height: 500px) {
+        .touch-joystick-zone {
+          width: 35%;
+          height: 70%;
+        }
+        .touch-look-zone {
+          width: 40%;
+          height: 80%;
+        }
+        .touch-action-container {
+          grid-template-columns: repeat(3, auto);
+        }
       }
 
       .touch-button {
@@ -920,8 +1773,9 @@ export class UI {
       
        /* Specific button positioning/sizing if needed */
       .touch-jump {
-         width: 60px;
-         height: 60px;
+         width: 70px;
+         height: 70px;
+         grid-column: span 2;
       }
 
       .touch-button:active {
@@ -1001,7 +1855,7 @@ export class UI {
          padding-top: 15px;
          border-top: 1px solid #555;
          text-align: left;
-         max-height: 150px; /* Limit height and allow scrolling if needed */
+         max-height: 260px; /* Limit height and allow scrolling if needed */
          overflow-y: auto;
       }
       .high-score-list-container h4 {
@@ -1026,10 +1880,63 @@ export class UI {
       }
        .high-score-list li span:first-child {
           font-weight: bold;
+          flex: 1;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
       }
        .high-score-list li span:last-child {
           color: #4CAF50; /* Score color */
       }
+      .high-score-list li span:not(:first-child) {
+          min-width: 55px;
+          margin-left: 8px;
+          text-align: right;
+      }
+      .high-score-list li.high-score-header span {
+          font-size: 0.8em;
+          font-weight: normal;
+          color: #999;
+      }
+      .high-score-list li.own-score {
+          background-color: rgba(255, 255, 170, 0.12);
+      }
+      .leaderboard-tabs {
+          display: flex;
+          gap: 4px;
+          margin-bottom: 8px;
+      }
+      .leaderboard-tabs button,
+      .leaderboard-pager button {
+          flex: 1;
+          padding: 4px 6px;
+          background-color: rgba(255, 255, 255, 0.1);
+          border: 1px solid rgba(255, 255, 255, 0.25);
+          border-radius: 4px;
+          color: #ddd;
+          font-size: 12px;
+          cursor: pointer;
+      }
+      .leaderboard-tabs button.active {
+          background-color: #337ab7;
+          color: white;
+      }
+      .leaderboard-pager {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin-top: 6px;
+          font-size: 12px;
+          color: #aaa;
+      }
+      .leaderboard-pager button:disabled {
+          opacity: 0.4;
+          cursor: default;
+      }
+      .leaderboard-player-rank h5 {
+          margin: 10px 0 4px;
+          color: #ffffaa;
+      }
 
       /* <<< ADD: Initial High Score Panel Styles >>> */
       #initial-highscore-panel {
@@ -1115,6 +2022,32 @@ export class UI {
           transition: background-color 0.2s, color 0.2s;
           margin-bottom: 8px; /* Add margin like other HUD elements */
       }
+      .hud-button-row {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+      }
+      .connection-status {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          background-color: rgba(0, 0, 0, 0.5);
+          border: 1px solid rgba(255, 255, 255, 0.3);
+          border-radius: 5px;
+          padding: 5px 10px;
+          margin-bottom: 8px;
+          font-size: 12px;
+      }
+      .connection-status-dot {
+          width: 10px;
+          height: 10px;
+          border-radius: 50%;
+          background-color: #888;
+      }
+      .connection-status.connected .connection-status-dot { background-color: #4CAF50; }
+      .connection-status.connecting .connection-status-dot,
+      .connection-status.reconnecting .connection-status-dot { background-color: #ffeb3b; }
+      .connection-status.disconnected .connection-status-dot { background-color: #f44336; }
       #master-mute-button:hover {
           background-color: rgba(255, 255, 255, 0.2);
       }
@@ -1219,7 +2152,7 @@ export class UI {
     });
   }
   
-  showGameOver(gameState, highScores = []) {
+  showGameOver(gameState) {
     if (!this.gameOverScreen) return;
 
     // Find elements within the game over screen
@@ -1250,10 +2183,11 @@ export class UI {
         if (timeSpan) timeSpan.textContent = formatTime(gameState.gameTimer);
         if (artifactsSpan) artifactsSpan.textContent = `${gameState.artifacts} / 4`;
         if (memoriesSpan) memoriesSpan.textContent = `${gameState.memories} / 4`;
+        this.renderScoreBreakdown(statsContainer.querySelector('.score-breakdown'), gameState.scoreBreakdown);
     }
 
     // Display high scores
-    this.displayHighScores(this.highScoreDisplay.gameOverList, highScores);
+    this.loadLeaderboard(this.leaderboards.gameOver);
 
     // Show the screen
     this.gameOverScreen.style.display = 'flex';
@@ -1263,9 +2197,165 @@ export class UI {
     this.gameOverScreen.style.display = 'none';
   }
 
-  showMemoryLog() {
+  createResultsScreen() {
+    this.resultsScreen = document.createElement('div');
+    this.resultsScreen.id = 'results-screen';
+    this.resultsScreen.style.display = 'none';
+    this.resultsScreen.innerHTML = `
+      <div class="game-over-content results-content">
+        <h1 class="results-title">RUN COMPLETE</h1>
+        <h2 class="game-over-reason results-reason"></h2>
+        <div class="results-score">0</div>
+        <div class="results-best"></div>
+        <div class="results-rank"></div>
+        <ul class="score-breakdown"></ul>
+        <div class="game-over-stats results-stats">
+          Time: <span class="stat-value results-time">00:00</span><br>
+          Biggest Fall: <span class="stat-value results-fall">0m</span><br>
+          Damage Taken: <span class="stat-value results-damage">0</span><br>
+          Artifacts Found: <span class="stat-value results-artifacts">0 / 0</span><br>
+          Memories Recovered: <span class="stat-value results-memories">0 / 0</span>
+        </div>
+        <div class="results-actions">
+          <button class="pause-menu-button" data-action="retry">Retry</button>
+          <button class="pause-menu-button" data-action="replay">Watch Replay</button>
+          <button class="pause-menu-button" data-action="share">Share</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(this.resultsScreen);
+
+    const actions = {
+      retry: () => window.game?.dismissResults('retry'),
+      replay: () => window.game?.dismissResults('replay'),
+      share: () => this.shareResults()
+    };
+    this.resultsButtons = Array.from(this.resultsScreen.querySelectorAll('.pause-menu-button'));
+    this.resultsButtons.forEach((button, index) => {
+      button.addEventListener('click', () => actions[button.dataset.action]());
+      button.addEventListener('pointerenter', () => this.focusResultsButton(index));
+    });
+  }
+
+  /**
+   * Show the end-of-run results
+   * @param {Object} results - Built by Game.showResults(): reason, score breakdown, time, maxFall,
+   *   damageTaken, artifacts / memories ({ collected, total }), personalBest, seed, canReplay
+   */
+  showResults(results) {
+    if (!this.resultsScreen) return;
+    this.lastResults = results;
+    const screen = this.resultsScreen;
+    const setText = (selector, text) => { screen.querySelector(selector).textContent = text; };
+
+    const headings = {
+      win: ['VICTORY!', 'You reached the bottom!'],
+      fall: ['LOST TO THE VOID', 'You fell into the abyss.'],
+      health: ['JOURNEY ENDED', 'Your body gave out.']
+    };
+    const [title, reason] = headings[results.reason] || headings.health;
+    setText('.results-title', title);
+    setText('.results-reason', reason);
+    setText('.results-score', results.score.total);
+
+    const best = results.personalBest;
+    const bestLines = [];
+    if (best.isNewBestScore) {
+      bestLines.push(best.score > 0 ? `New best score! (was ${best.score})` : 'New best score!');
+    } else {
+      bestLines.push(`Best score: ${best.score}`);
+    }
+    if (best.isNewBestTime) {
+      bestLines.push(best.time !== null ? `New fastest descent! (was ${formatTime(best.time)})` : 'First completed descent!');
+    } else if (best.time !== null) {
+      bestLines.push(`Fastest descent: ${formatTime(best.time)}`);
+    }
+    setText('.results-best', bestLines.join(' · '));
+    this.updateResultsRank(null);
+
+    this.renderScoreBreakdown(screen.querySelector('.score-breakdown'), results.score);
+    setText('.results-time', formatTime(results.time));
+    setText('.results-fall', `${results.maxFall.toFixed(1)}m`);
+    setText('.results-damage', Math.round(results.damageTaken));
+    setText('.results-artifacts', `${results.artifacts.collected} / ${results.artifacts.total}`);
+    setText('.results-memories', `${results.memories.collected} / ${results.memories.total}`);
+
+    this.resultsButtons.find(button => button.dataset.action === 'replay').disabled = !results.canReplay;
+    screen.style.display = 'flex';
+    this.focusResultsButton(0);
+  }
+
+  // Fill in the leaderboard rank once it has been looked up (null hides the line)
+  updateResultsRank(rank) {
+    const rankElement = this.resultsScreen?.querySelector('.results-rank');
+    if (!rankElement) return;
+    rankElement.textContent = rank ? `Leaderboard rank: #${rank}` : '';
+  }
+
+  hideResults() {
+    if (!this.resultsScreen) return;
+    this.resultsScreen.style.display = 'none';
+    if (this.resultsScreen.contains(document.activeElement)) {
+      document.activeElement.blur(); // Keep Enter from re-clicking a hidden button
+    }
+  }
+
+  focusResultsButton(index) {
+    const buttons = this.resultsButtons;
+    if (buttons.length === 0) return;
+    this.resultsIndex = (index + buttons.length) % buttons.length;
+    buttons.forEach((button, i) => button.classList.toggle('focused', i === this.resultsIndex));
+    buttons[this.resultsIndex].focus({ preventScroll: true });
+  }
+
+  /**
+   * Navigate the results buttons the same way as the pause menu: left/right (or forward/backward)
+   * move the focus, jump/interact select, action retries.
+   * @param {Object} inputState - Input state from InputManager
+   */
+  handleResultsInput(inputState) {
+    const { pressed } = inputState;
+    if (pressed.left || pressed.forward) {
+      this.focusResultsButton(this.resultsIndex - 1);
+    } else if (pressed.right || pressed.backward) {
+      this.focusResultsButton(this.resultsIndex + 1);
+    } else if (pressed.jump || pressed.interact) {
+      const button = this.resultsButtons[this.resultsIndex];
+      if (button && !button.disabled) button.click();
+    } else if (pressed.action) {
+      window.game?.dismissResults('retry');
+    }
+  }
+
+  // Share the result through the system share sheet, or copy it where that isn't available
+  async shareResults() {
+    const results = this.lastResults;
+    if (!results) return;
+    const verb = results.reason === 'win' ? 'reached the bottom' : 'dived';
+    const text = `I ${verb} in Deep Dive: ${results.score.total} points in ${formatTime(results.time)} (seed ${results.seed})`;
+
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: 'Deep Dive', text });
+      } else {
+        await navigator.clipboard.writeText(text);
+        this.showTemporaryMessage("Result copied to clipboard", 2000);
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') { // Closing the share sheet isn't an error
+        console.error("Failed to share result:", error);
+        this.showTemporaryMessage("Couldn't share result", 2000);
+      }
+    }
+  }
+
+  /**
+   * Open the memory log
+   * @param {Array<Object>} memories - Memories collected so far ({ id, data })
+   */
+  showMemoryLog(memories = []) {
     if (this.memoryLogPanel) {
-      this.updateMemoryLogList();
+      this.updateMemoryLogList(memories);
       this.memoryLogPanel.style.display = 'flex';
     }
   }
@@ -1276,17 +2366,19 @@ export class UI {
     }
   }
 
-  updateMemoryLogList() {
+  updateMemoryLogList(memories) {
     const listElement = document.getElementById('memory-list');
     if (!listElement) return;
     listElement.innerHTML = '';
 
-    const fakeMemories = [
-      { id: 'surface_memory_1', data: { content: "Test Memory 1", resonance: 'Hope', imagePath: '' } },
-      { id: 'surface_memory_2', data: { content: "Test Memory 2", resonance: 'Sorrow', imagePath: '' } }
-    ];
+    if (memories.length === 0) {
+      const emptyItem = document.createElement('li');
+      emptyItem.textContent = 'No memories recovered yet.';
+      listElement.appendChild(emptyItem);
+      return;
+    }
 
-    fakeMemories.forEach(mem => {
+    memories.forEach(mem => {
       const listItem = document.createElement('li');
       listItem.textContent = mem.id;
       listItem.dataset.memoryId = mem.id;
@@ -1338,13 +2430,20 @@ export class UI {
   showPauseScreen() {
     if (this.pauseScreen) {
       this.pauseScreen.style.display = 'flex';
+      this.focusPauseMenuItem(0); // Start on Resume
     }
   }
   
   hidePauseScreen() {
     if (this.pauseScreen) {
       this.pauseScreen.style.display = 'none';
+      if (this.pauseScreen.contains(document.activeElement)) {
+        document.activeElement.blur(); // Keep Enter from re-clicking a hidden menu item
+      }
     }
+    this.hideControlsSettings();
+    this.hideSettingsPanel();
+    this.hideMemoryLog();
   }
 
   showGameWon(gameState, highScores = []) {
@@ -1360,6 +2459,7 @@ export class UI {
         if (timeSpan) timeSpan.textContent = formatTime(gameState.gameTimer);
         if (artifactsSpan) artifactsSpan.textContent = `${gameState.artifacts} / 4`;
         if (memoriesSpan) memoriesSpan.textContent = `${gameState.memories} / 4`;
+        this.renderScoreBreakdown(statsContainer.querySelector('.score-breakdown'), gameState.scoreBreakdown);
     }
 
     // Display high scores
@@ -1374,6 +2474,17 @@ export class UI {
       }
   }
 
+  // Fill a list with the line items of a scoreRun() breakdown
+  renderScoreBreakdown(listElement, breakdown) {
+    if (!listElement) return;
+    listElement.innerHTML = '';
+    (breakdown?.lines || []).forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = formatScoreLine(line);
+      listElement.appendChild(item);
+    });
+  }
+
   // <<< ADD: Function to show a temporary message >>>
   showTemporaryMessage(message, duration = 2000) {
     if (this.tempMessageElement) {
@@ -1426,6 +2537,7 @@ export class UI {
 
     const messageList = document.createElement('ul');
     messageList.className = 'chat-messages';
+    this.chatUI.container = chatContainer;
     this.chatUI.messages = messageList;
 
     const inputContainer = document.createElement('div');
@@ -1487,7 +2599,11 @@ export class UI {
     if (!this.chatUI.messages) return;
 
     const messageElement = document.createElement('li');
-    messageElement.innerHTML = `<span class="chat-sender">${sender}:</span> ${message}`; // Basic formatting
+    // Names and text come from other players, so they're only ever set as text
+    const senderElement = document.createElement('span');
+    senderElement.className = 'chat-sender';
+    senderElement.textContent = `${sender}:`;
+    messageElement.append(senderElement, ` ${message}`);
     
     this.chatUI.messages.appendChild(messageElement);
 
@@ -1503,8 +2619,13 @@ export class UI {
     }, 15000); // Start fading after 15 seconds
   }
 
-  // <<< ADD: Function to display high scores >>>
-  displayHighScores(listElement, scores) {
+  /**
+   * Fill a list with leaderboard entries
+   * @param {HTMLElement} listElement - The <ul> to fill
+   * @param {Array<Object>} scores - high_scores rows; `rank` is used when present
+   * @param {string} [highlightName] - Player name whose rows are highlighted
+   */
+  displayHighScores(listElement, scores, highlightName = null) {
       if (!listElement) return;
       listElement.innerHTML = ''; // Clear previous entries (like "Loading...")
 
@@ -1513,23 +2634,117 @@ export class UI {
           return;
       }
 
-      scores.forEach((score, index) => {
+      const addRow = (cells, className) => {
           const li = document.createElement('li');
+          if (className) li.className = className;
+          cells.forEach(text => {
+              const span = document.createElement('span');
+              span.textContent = text;
+              li.appendChild(span);
+          });
+          listElement.appendChild(li);
+      };
+
+      addRow(['Player', 'Time', 'Artifacts', 'Score'], 'high-score-header');
+      scores.forEach((score, index) => {
           // Handle potential null player_name (though we try to avoid it)
           const playerName = score.player_name || 'Anonymous'; 
-          li.innerHTML = `<span>${index + 1}. ${playerName}</span><span>${score.score}</span>`;
-          listElement.appendChild(li);
+          addRow([
+              `${score.rank ?? index + 1}. ${playerName}`,
+              Number.isFinite(score.game_time) ? formatTime(score.game_time) : '--',
+              score.artifacts_collected ?? '-',
+              score.score
+          ], highlightName && score.player_name === highlightName ? 'own-score' : null);
       });
   }
 
+  /**
+   * Build a tabbed, paged leaderboard into a container
+   * @param {HTMLElement} container - Element to build into
+   * @returns {Object} View state, passed to loadLeaderboard()
+   */
+  createLeaderboardView(container) {
+    container.innerHTML = `
+      <div class="leaderboard-tabs">
+        ${LEADERBOARD_TABS.map((tab, index) => `<button data-tab="${index}">${tab.label}</button>`).join('')}
+      </div>
+      <ul class="high-score-list"><li>Loading...</li></ul>
+      <div class="leaderboard-pager">
+        <button data-page="-1">&lsaquo; Prev</button>
+        <span class="leaderboard-page"></span>
+        <button data-page="1">Next &rsaquo;</button>
+      </div>
+      <div class="leaderboard-player-rank"></div>
+    `;
+
+    const view = {
+      container,
+      list: container.querySelector('.high-score-list'),
+      tabButtons: Array.from(container.querySelectorAll('[data-tab]')),
+      pageButtons: Array.from(container.querySelectorAll('[data-page]')),
+      pageLabel: container.querySelector('.leaderboard-page'),
+      playerRank: container.querySelector('.leaderboard-player-rank'),
+      tabIndex: 0,
+      page: 0,
+      requestId: 0 // Answers to a tab or page the player has since left are dropped
+    };
+
+    view.tabButtons.forEach(button => button.addEventListener('click', () => {
+      view.tabIndex = Number(button.dataset.tab);
+      view.page = 0;
+      this.loadLeaderboard(view);
+    }));
+    view.pageButtons.forEach(button => button.addEventListener('click', () => {
+      view.page = Math.max(0, view.page + Number(button.dataset.page));
+      this.loadLeaderboard(view);
+    }));
+    return view;
+  }
+
+  // Fetch and show the view's current tab and page
+  async loadLeaderboard(view) {
+    if (!view) return;
+    const requestId = ++view.requestId;
+    const tab = LEADERBOARD_TABS[view.tabIndex];
+    view.tabButtons.forEach((button, index) => button.classList.toggle('active', index === view.tabIndex));
+    view.list.innerHTML = '<li>Loading...</li>';
+
+    let board = null;
+    try {
+      board = await window.game?.fetchLeaderboard({ period: tab.period, perSeed: tab.perSeed, page: view.page });
+    } catch (error) {
+      console.error("Failed to load leaderboard:", error);
+    }
+    if (requestId !== view.requestId) return;
+
+    const { entries = [], total = 0, pageSize = 10, playerRank = null, playerName = null } = board || {};
+    this.displayHighScores(view.list, entries, playerName);
+
+    const pageCount = Math.max(1, Math.ceil(total / pageSize));
+    view.pageLabel.textContent = `${view.page + 1} / ${pageCount}`;
+    view.pageButtons[0].disabled = view.page === 0;
+    view.pageButtons[1].disabled = view.page + 1 >= pageCount;
+
+    // The player's own standing, with the scores just above and below it
+    view.playerRank.innerHTML = '';
+    if (playerRank) {
+      const heading = document.createElement('h5');
+      heading.textContent = `Your rank: #${playerRank.rank}`;
+      const nearby = document.createElement('ul');
+      nearby.className = 'high-score-list';
+      view.playerRank.append(heading, nearby);
+      this.displayHighScores(nearby, playerRank.entries, playerName);
+    }
+  }
+
   // <<< ADD: Create Initial High Score Panel >>>
   createInitialHighScorePanel() {
     this.initialHighScorePanel = document.createElement('div');
     this.initialHighScorePanel.id = 'initial-highscore-panel';
     this.initialHighScorePanel.innerHTML = `
         <div class="initial-highscore-content">
-            <h2>Top Scores</h2>
-            <ul class="high-score-list"><li>Loading...</li></ul>
+            <h2>Leaderboard</h2>
+            <div class="leaderboard-view"></div>
             <p>(Scores will update after you play)</p>
 
             <!-- <<< ADDED: Game Guidelines Section >>> -->
@@ -1546,6 +2761,7 @@ export class UI {
             <button id="close-initial-scores">Start Game</button>
         </div>
     `;
+    this.leaderboards.title = this.createLeaderboardView(this.initialHighScorePanel.querySelector('.leaderboard-view'));
     // Hide it initially, game logic will show it
     this.initialHighScorePanel.style.display = 'none';
     document.body.appendChild(this.initialHighScorePanel);
@@ -1567,12 +2783,9 @@ export class UI {
   }
 
   // <<< ADD: Method to show the initial high scores >>>
-  showInitialHighScores(scores) {
+  showInitialHighScores() {
       if (!this.initialHighScorePanel) return;
-      const listElement = this.initialHighScorePanel.querySelector('.high-score-list');
-      if (listElement) {
-          this.displayHighScores(listElement, scores); // Reuse existing display logic
-      }
+      this.loadLeaderboard(this.leaderboards.title);
       this.initialHighScorePanel.style.display = 'flex'; // Show the panel
   }
 
@@ -1602,6 +2815,155 @@ export class UI {
     this.updateMasterMuteButtonVisuals(); // Set initial state visual
   }
   
+  // Show or hide HUD elements according to the show* settings
+  setHudVisibility(settings) {
+    const elements = {
+      showHealthBar: this.healthBar?.container,
+      showDepthMeter: this.depthMeter?.container,
+      showTimer: this.timerDisplay?.container,
+      showControlsHint: this.controlsDisplay,
+      showChat: this.chatUI.container,
+      showConnectionStatus: this.connectionStatus?.container
+    };
+    Object.entries(elements).forEach(([key, element]) => {
+      element?.classList.toggle('hud-hidden', settings[key] === false);
+    });
+  }
+  
+  // <<< ADD: Replay viewer controls (timeline, play/pause, speed, free camera) >>>
+  createReplayControls() {
+    const container = document.createElement('div');
+    container.className = 'replay-controls';
+    container.innerHTML = `
+      <div class="replay-timeline">
+        <div class="replay-markers"></div>
+        <input type="range" class="replay-scrubber" min="0" max="1000" step="1" value="0" />
+      </div>
+      <div class="replay-buttons">
+        <button class="replay-play-button">Pause</button>
+        ${REPLAY_SPEEDS.map(speed => `<button class="replay-speed-button" data-speed="${speed}">${speed}x</button>`).join('')}
+        <span class="replay-time">00:00 / 00:00</span>
+        <span class="replay-spacer"></span>
+        <button class="replay-camera-button">Free Camera</button>
+        <button class="replay-exit-button">Exit Replay</button>
+      </div>
+    `;
+    document.body.appendChild(container);
+    
+    this.replayControls = {
+      container,
+      scrubber: container.querySelector('.replay-scrubber'),
+      markers: container.querySelector('.replay-markers'),
+      playButton: container.querySelector('.replay-play-button'),
+      speedButtons: Array.from(container.querySelectorAll('.replay-speed-button')),
+      cameraButton: container.querySelector('.replay-camera-button'),
+      exitButton: container.querySelector('.replay-exit-button'),
+      time: container.querySelector('.replay-time'),
+      viewer: null,
+      isScrubbing: false
+    };
+    
+    const controls = this.replayControls;
+    controls.playButton.addEventListener('click', () => controls.viewer?.togglePause());
+    controls.speedButtons.forEach(button => {
+      button.addEventListener('click', () => controls.viewer?.setSpeed(Number(button.dataset.speed)));
+    });
+    controls.cameraButton.addEventListener('click', () => {
+      if (!controls.viewer) return;
+      const enable = !controls.viewer.freeCamera.enabled;
+      controls.viewer.setFreeCamera(enable);
+      controls.cameraButton.classList.toggle('active', enable);
+    });
+    controls.exitButton.addEventListener('click', () => controls.viewer?.close());
+    
+    // Scrubbing
+    controls.scrubber.addEventListener('input', () => {
+      if (!controls.viewer) return;
+      controls.isScrubbing = true;
+      controls.viewer.seek((controls.scrubber.value / 1000) * controls.viewer.duration);
+    });
+    controls.scrubber.addEventListener('change', () => {
+      controls.isScrubbing = false;
+    });
+  }
+  
+  showReplayControls(run, viewer) {
+    if (!this.replayControls) return;
+    const controls = this.replayControls;
+    controls.viewer = viewer;
+    controls.cameraButton.classList.remove('active');
+    
+    // Timeline markers for jumps, falls, damage and pickups
+    controls.markers.innerHTML = '';
+    (run.events || []).forEach(event => {
+      const marker = document.createElement('div');
+      marker.className = `replay-marker ${event.type}`;
+      marker.style.left = `${run.duration > 0 ? (event.time / run.duration) * 100 : 0}%`;
+      let label = event.type;
+      if (event.type === 'fall') label = `fall (${event.distance}m)`;
+      if (event.type === 'damage') label = `damage (-${event.amount})`;
+      if (event.type === 'pickup') label = `pickup (${event.item})`;
+      marker.title = `${formatTime(event.time)} ${label}`;
+      controls.markers.appendChild(marker);
+    });
+    
+    controls.container.style.display = 'flex';
+    this.updateReplayControls(viewer);
+  }
+  
+  hideReplayControls() {
+    if (!this.replayControls) return;
+    this.replayControls.container.style.display = 'none';
+    this.replayControls.viewer = null;
+  }
+  
+  updateReplayControls(viewer) {
+    if (!this.replayControls) return;
+    const controls = this.replayControls;
+    
+    if (!controls.isScrubbing && viewer.duration > 0) {
+      controls.scrubber.value = Math.round((viewer.time / viewer.duration) * 1000);
+    }
+    controls.playButton.textContent = viewer.isPaused ? 'Play' : 'Pause';
+    controls.time.textContent = `${formatTime(viewer.time)} / ${formatTime(viewer.duration)}`;
+    controls.speedButtons.forEach(button => {
+      button.classList.toggle('active', Number(button.dataset.speed) === viewer.speed);
+    });
+  }
+
+  // <<< ADD: Multiplayer connection indicator (sits next to the mute button) >>>
+  createConnectionStatus() {
+    const container = document.createElement('div');
+    container.className = 'connection-status disconnected';
+    
+    const dot = document.createElement('span');
+    dot.className = 'connection-status-dot';
+    
+    const label = document.createElement('span');
+    label.className = 'connection-status-label';
+    label.textContent = 'Offline';
+    
+    container.appendChild(dot);
+    container.appendChild(label);
+    
+    this.connectionStatus = { container, label };
+  }
+  
+  updateConnectionStatus(status, details = {}) {
+    if (!this.connectionStatus) return;
+    
+    const labels = {
+      connecting: 'Connecting...',
+      connected: 'Online',
+      reconnecting: details.attempt ? `Reconnecting (${details.attempt})...` : 'Reconnecting...',
+      disconnected: 'Offline'
+    };
+    
+    this.connectionStatus.container.className = `connection-status ${status}`;
+    this.connectionStatus.label.textContent = labels[status] || status;
+    this.connectionStatus.container.setAttribute('title', `Multiplayer: ${labels[status] || status}`);
+  }
+
   // <<< ADD: Update Master Mute Button Visuals Method >>>
   updateMasterMuteButtonVisuals() {
       if (!this.masterMuteButton || !window.game || !window.game.audio) return;
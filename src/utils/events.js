@@ -97,6 +97,7 @@ export const EVENT_TYPES = {
   PLAYER_MOVE: 'player:move',
   PLAYER_JUMP: 'player:jump',
   PLAYER_DAMAGE: 'player:damage',
+  PLAYER_LAND: 'player:land',
   PLAYER_ABILITY_USE: 'player:ability_use',
   
   // Game state events
@@ -113,12 +114,17 @@ export const EVENT_TYPES = {
   // Collection events
   ARTIFACT_COLLECTED: 'collect:artifact',
   MEMORY_COLLECTED: 'collect:memory',
+  HEALTH_COLLECTED: 'collect:health',
   
   // Environment events
   ENVIRONMENT_CHANGE: 'environment:change',
   ENTER_WATER: 'environment:enter_water',
   EXIT_WATER: 'environment:exit_water',
   
+  // Input events
+  INPUT_DEVICE_CONNECTED: 'input:device_connected',
+  INPUT_DEVICE_DISCONNECTED: 'input:device_disconnected',
+  
   // UI events
   UI_SHOW_MESSAGE: 'ui:show_message',
   UI_HIDE_MESSAGE: 'ui:hide_message',
@@ -200,4 +200,4 @@ export function formatTime(totalSeconds) {
  */
 export function lerp(a, b, t) {
   return a + (b - a) * t;
-} 
\ No newline at end of file
+} 
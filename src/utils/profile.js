@@ -0,0 +1,230 @@
+import { Storage } from './storage.js';
+
+// Bump when the profile shape changes and add a matching entry to MIGRATIONS
+export const PROFILE_VERSION = 1;
+
+const PROFILE_KEY = 'profile';
+
+export const DEFAULT_SETTINGS = {
+  // Audio
+  masterVolume: 1.0,
+  soundVolume: 0.8,
+  musicVolume: 0.5,
+  // Graphics
+  shadowQuality: 'high', // 'off', 'low', 'medium' or 'high'
+  pixelRatioCap: 2,
+  fogDistance: 1,        // Multiplier on each level's fog distance
+  // Gameplay
+  cameraSensitivity: 1,
+  invertControls: false, // Inverts camera pitch
+  showTutorials: true,
+  movementScheme: 'tank',
+  // HUD
+  showHealthBar: true,
+  showDepthMeter: true,
+  showTimer: true,
+  showControlsHint: true,
+  showChat: true,
+  showConnectionStatus: true
+};
+
+const DEFAULT_STATS = {
+  attempts: 0,
+  completions: 0,
+  deaths: 0,
+  playTime: 0,          // Seconds across all attempts
+  bestScore: 0,
+  bestTime: null,       // Fastest completed descent, in seconds
+  artifactsCollected: 0,
+  memoriesCollected: 0,
+  maxFallDistance: 0
+};
+
+function createDefaultProfile() {
+  const now = Date.now();
+  return {
+    version: PROFILE_VERSION,
+    name: null,
+    settings: { ...DEFAULT_SETTINGS },
+    keyBindings: null,    // null until the player rebinds something
+    stats: { ...DEFAULT_STATS },
+    collectedMemories: [], // { id, data, collectedAt }, one entry per memory ever found
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Each entry upgrades a profile from the previous version to its key.
+// Version 0 is the loose keys StorageManager wrote before profiles existed.
+const MIGRATIONS = {
+  1: (profile, storage) => {
+    const legacySettings = storage.load('settings', null);
+    const legacyBindings = storage.load('key_bindings', null);
+    const legacyMemoryIds = storage.load('collected_memories', []);
+
+    const migrated = createDefaultProfile();
+    migrated.settings = { ...DEFAULT_SETTINGS, ...(legacySettings || {}) };
+    migrated.keyBindings = legacyBindings;
+    migrated.collectedMemories = (Array.isArray(legacyMemoryIds) ? legacyMemoryIds : [])
+      .map(id => ({ id, data: {}, collectedAt: null }));
+
+    ['settings', 'key_bindings', 'collected_memories', 'collected_artifacts', 'player_progress']
+      .forEach(key => storage.delete(key));
+    return migrated;
+  }
+};
+
+/**
+ * Local player profile: name, settings, key bindings, lifetime stats and collected memories.
+ * Stored as a single versioned record through StorageManager.
+ */
+export class ProfileManager {
+  constructor(storage = Storage) {
+    this.storage = storage;
+    this.isReadOnly = false;
+    this.profile = this.load();
+  }
+
+  load() {
+    const stored = this.storage.load(PROFILE_KEY, null);
+    let profile = stored && typeof stored === 'object' ? stored : { version: 0 };
+    const storedVersion = Number.isInteger(profile.version) ? profile.version : 0;
+
+    if (storedVersion > PROFILE_VERSION) {
+      // Written by a newer build; use what we understand but don't overwrite it
+      console.warn(`Profile version ${storedVersion} is newer than supported version ${PROFILE_VERSION}.`);
+      this.isReadOnly = true;
+      return this.withDefaults(profile);
+    }
+
+    for (let version = storedVersion + 1; version <= PROFILE_VERSION; version++) {
+      try {
+        profile = MIGRATIONS[version](profile, this.storage);
+        profile.version = version;
+      } catch (e) {
+        console.error(`Failed to migrate profile to version ${version}, starting fresh:`, e);
+        profile = createDefaultProfile();
+        break;
+      }
+    }
+
+    profile = this.withDefaults(profile);
+    if (storedVersion !== PROFILE_VERSION) {
+      this.save(profile);
+    }
+    return profile;
+  }
+
+  // Fill in fields missing from older or partially written profiles
+  withDefaults(profile) {
+    const defaults = createDefaultProfile();
+    return {
+      ...defaults,
+      ...profile,
+      settings: { ...defaults.settings, ...(profile.settings || {}) },
+      stats: { ...defaults.stats, ...(profile.stats || {}) },
+      collectedMemories: Array.isArray(profile.collectedMemories) ? profile.collectedMemories : []
+    };
+  }
+
+  /**
+   * Write the profile to storage
+   * @param {Object} [profile] - Profile to write, defaults to the current one
+   * @returns {boolean} Whether save was successful
+   */
+  save(profile = this.profile) {
+    if (this.isReadOnly) return false;
+    profile.updatedAt = Date.now();
+    return this.storage.save(PROFILE_KEY, profile);
+  }
+
+  get name() {
+    return this.profile.name;
+  }
+
+  setName(name) {
+    this.profile.name = name;
+    this.save();
+  }
+
+  getSettings() {
+    return { ...this.profile.settings };
+  }
+
+  /**
+   * Change some settings and persist them
+   * @param {Object} changes - Settings to overwrite
+   */
+  updateSettings(changes) {
+    this.profile.settings = { ...this.profile.settings, ...changes };
+    this.save();
+  }
+
+  getKeyBindings() {
+    return this.profile.keyBindings;
+  }
+
+  setKeyBindings(bindings) {
+    this.profile.keyBindings = bindings;
+    this.save();
+  }
+
+  getStats() {
+    return { ...this.profile.stats };
+  }
+
+  /**
+   * Add a finished attempt to the lifetime stats
+   * @param {Object} attempt
+   * @param {boolean} attempt.completed - Reached the bottom
+   * @param {boolean} attempt.died - Ended by a fatal fall or running out of health
+   * @param {number} attempt.time - Seconds the attempt lasted
+   * @param {number} attempt.score - Final score
+   * @param {number} attempt.artifacts - Artifacts collected
+   * @param {number} attempt.memories - Memories collected
+   * @param {number} attempt.maxFallDistance - Longest fall survived or not
+   */
+  recordAttempt({ completed = false, died = false, time = 0, score = 0, artifacts = 0, memories = 0, maxFallDistance = 0 }) {
+    const stats = this.profile.stats;
+    stats.attempts++;
+    if (completed) stats.completions++;
+    if (died) stats.deaths++;
+    stats.playTime += time;
+    stats.bestScore = Math.max(stats.bestScore, score);
+    if (completed && (stats.bestTime === null || time < stats.bestTime)) {
+      stats.bestTime = time;
+    }
+    stats.artifactsCollected += artifacts;
+    stats.memoriesCollected += memories;
+    stats.maxFallDistance = Math.max(stats.maxFallDistance, maxFallDistance);
+    this.save();
+  }
+
+  /**
+   * Remember a memory for the log
+   * @param {Object} memoryData - Collected memory ({ id, data })
+   * @returns {boolean} Whether it was found for the first time
+   */
+  addCollectedMemory(memoryData) {
+    const existing = this.profile.collectedMemories.find(memory => memory.id === memoryData.id);
+    if (existing) {
+      // Entries migrated from the old format only had ids
+      if (!existing.collectedAt) {
+        existing.data = memoryData.data || {};
+        existing.collectedAt = Date.now();
+        this.save();
+      }
+      return false;
+    }
+    this.profile.collectedMemories.push({ id: memoryData.id, data: memoryData.data || {}, collectedAt: Date.now() });
+    this.save();
+    return true;
+  }
+
+  getCollectedMemories() {
+    return this.profile.collectedMemories.map(memory => ({ ...memory }));
+  }
+}
+
+// Create a global instance for convenience
+export const Profile = new ProfileManager();
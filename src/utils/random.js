@@ -0,0 +1,41 @@
+/**
+ * Hash a seed string into a 32-bit integer (xmur3)
+ * @param {string} seed - Seed string
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashSeed(seed) {
+  const str = String(seed);
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^= h >>> 16) >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32).
+ * The returned function is a drop-in replacement for Math.random().
+ * @param {string|number} seed - The same seed always yields the same sequence
+ * @returns {Function} Function returning a float in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = hashSeed(seed);
+  return function random() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a short random seed string, e.g. for a fresh level
+ * @returns {string} Seed string
+ */
+export function generateSeed() {
+  return Math.random().toString(36).substring(2, 10);
+}
@@ -0,0 +1,101 @@
+// Score rules and calculation for an attempt.
+//
+// Plain data in, plain data out (no THREE or DOM), so the server can score a run the
+// same way the client does.
+
+/**
+ * Default rule set. Each entry becomes one line of the breakdown when it awards points.
+ */
+export const SCORING_RULES = {
+  // Starts at `base` and loses `penaltyPerSecond` for every second taken, never below `min`
+  time: { base: 10000, penaltyPerSecond: 10, min: 0 },
+  // Points per collected item, by collectible type
+  items: {
+    artifact: { label: 'Artifacts', points: 1000 },
+    memory: { label: 'Memories', points: 750 }
+  },
+  // Reaching the Guardian at the bottom
+  winBonus: 1000,
+  // Deepest point reached, in metres below the first platform
+  depth: { pointsPerMeter: 5, maxPoints: 1500 },
+  // Finishing without taking any damage
+  damageFree: { bonus: 500, completedOnly: true },
+  // Items picked up within `window` seconds of the previous one chain into a combo. Each
+  // item after the first earns an extra `step` of its value, up to `maxMultiplier` times.
+  combo: { window: 8, step: 0.25, maxMultiplier: 2 }
+};
+
+/**
+ * Score an attempt
+ * @param {Object} run - Outcome of the attempt
+ * @param {number} run.time - Seconds taken
+ * @param {Array<{type: string, time: number}>} [run.pickups] - Items collected, in pickup order
+ * @param {boolean} [run.completed] - Whether the player reached the end
+ * @param {number} [run.maxDepth] - Deepest point reached, in metres
+ * @param {number} [run.damageTaken] - Total health lost
+ * @param {Object} [rules] - Rule set (defaults to SCORING_RULES)
+ * @returns {{total: number, lines: Array<{id: string, label: string, detail: string, points: number}>}}
+ *   Total score and the line items that add up to it
+ */
+export function scoreRun(run, rules = SCORING_RULES) {
+  const { time = 0, pickups = [], completed = false, maxDepth = 0, damageTaken = 0 } = run;
+  const lines = [];
+  const add = (id, label, detail, points) => {
+    points = Math.floor(points);
+    if (points !== 0) lines.push({ id, label, detail, points });
+  };
+
+  if (rules.time) {
+    const { base, penaltyPerSecond, min = 0 } = rules.time;
+    add('time', 'Time', `${Math.floor(time)}s`, Math.max(min, base - time * penaltyPerSecond));
+  }
+
+  if (rules.items) {
+    for (const [type, { label, points }] of Object.entries(rules.items)) {
+      const count = pickups.filter(pickup => pickup.type === type).length;
+      add(type, label, `${count} × ${points}`, count * points);
+    }
+  }
+
+  if (rules.combo && rules.items) {
+    const { bonus, longest } = scoreCombos(pickups, rules);
+    add('combo', 'Combo', `best chain ×${longest}`, bonus);
+  }
+
+  if (rules.depth) {
+    const { pointsPerMeter, maxPoints = Infinity } = rules.depth;
+    add('depth', 'Depth', `${Math.floor(maxDepth)}m`, Math.min(maxPoints, maxDepth * pointsPerMeter));
+  }
+
+  if (rules.damageFree && damageTaken <= 0 && (completed || !rules.damageFree.completedOnly)) {
+    add('damageFree', 'No damage', '', rules.damageFree.bonus);
+  }
+
+  if (rules.winBonus && completed) {
+    add('win', 'Reached the bottom', '', rules.winBonus);
+  }
+
+  const total = lines.reduce((sum, line) => sum + line.points, 0);
+  return { total, lines };
+}
+
+// Extra points for items collected in quick succession
+function scoreCombos(pickups, rules) {
+  const { window, step, maxMultiplier } = rules.combo;
+  let bonus = 0;
+  let chain = 0;
+  let longest = 0;
+  let previousTime = -Infinity;
+
+  for (const pickup of pickups) {
+    chain = pickup.time - previousTime <= window ? chain + 1 : 1;
+    previousTime = pickup.time;
+    longest = Math.max(longest, chain);
+
+    const value = rules.items[pickup.type]?.points || 0;
+    const multiplier = Math.min(maxMultiplier, 1 + step * (chain - 1));
+    bonus += value * (multiplier - 1);
+  }
+
+  return { bonus, longest };
+}
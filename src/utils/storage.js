@@ -1,7 +1,11 @@
+const GHOST_INDEX_KEY = 'recent_ghost_seeds';
+
 export class StorageManager {
-  constructor(prefix = 'deep_dive_') {
+  constructor(prefix = 'deep_dive_', { maxGhostRuns = 5 } = {}) {
     this.prefix = prefix;
+    this.maxGhostRuns = maxGhostRuns; // Ghosts for older seeds are evicted so runs can't fill localStorage
     this.isAvailable = this.checkStorageAvailability();
+    this.memoryStore = {}; // Stand-in for localStorage (private browsing, blocked cookies) so the session still works
   }
   
   /**
@@ -15,7 +19,7 @@ export class StorageManager {
       localStorage.removeItem(testKey);
       return true;
     } catch (e) {
-      console.warn('localStorage is not available, game progress will not be saved');
+      console.warn('localStorage is not available, game progress will only be kept for this session');
       return false;
     }
   }
@@ -27,10 +31,12 @@ export class StorageManager {
    * @returns {boolean} Whether save was successful
    */
   save(key, data) {
-    if (!this.isAvailable) return false;
-    
     try {
       const serialized = JSON.stringify(data);
+      if (!this.isAvailable) {
+        this.memoryStore[key] = serialized;
+        return true;
+      }
       localStorage.setItem(this.prefix + key, serialized);
       return true;
     } catch (e) {
@@ -46,10 +52,10 @@ export class StorageManager {
    * @returns {any} The loaded data or defaultValue
    */
   load(key, defaultValue = null) {
-    if (!this.isAvailable) return defaultValue;
-    
     try {
-      const serialized = localStorage.getItem(this.prefix + key);
+      const serialized = this.isAvailable
+        ? localStorage.getItem(this.prefix + key)
+        : (this.memoryStore[key] ?? null);
       if (serialized === null) return defaultValue;
       return JSON.parse(serialized);
     } catch (e) {
@@ -64,7 +70,10 @@ export class StorageManager {
    * @returns {boolean} Whether delete was successful
    */
   delete(key) {
-    if (!this.isAvailable) return false;
+    if (!this.isAvailable) {
+      delete this.memoryStore[key];
+      return true;
+    }
     
     try {
       localStorage.removeItem(this.prefix + key);
@@ -75,12 +84,35 @@ export class StorageManager {
     }
   }
   
+  /**
+   * List saved keys starting with a given string
+   * @param {string} start - Key prefix (without the storage prefix)
+   * @returns {Array<string>} Matching keys (without the storage prefix)
+   */
+  keysStartingWith(start) {
+    if (!this.isAvailable) {
+      return Object.keys(this.memoryStore).filter(key => key.startsWith(start));
+    }
+    
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith(this.prefix + start)) {
+        keys.push(key.substring(this.prefix.length));
+      }
+    }
+    return keys;
+  }
+  
   /**
    * Clear all game data from localStorage
    * @returns {boolean} Whether clear was successful
    */
   clearAll() {
-    if (!this.isAvailable) return false;
+    if (!this.isAvailable) {
+      this.memoryStore = {};
+      return true;
+    }
     
     try {
       // Only clear items with our prefix
@@ -179,6 +211,54 @@ export class StorageManager {
   loadCollectedArtifacts() {
     return this.load('collected_artifacts', []);
   }
+  
+  /**
+   * Save the best recorded run for a level seed (used for ghosts). Only the most recently used
+   * maxGhostRuns seeds keep theirs; if storage is still full, older ghosts go until it fits.
+   * @param {string} seed - Level seed the run was recorded on
+   * @param {Object} run - Encoded run from RunRecorder
+   * @returns {boolean} Whether save was successful
+   */
+  saveGhostRun(seed, run) {
+    const seeds = this.touchGhostSeed(seed);
+    while (seeds.length > this.maxGhostRuns) {
+      this.delete(`ghost_${seeds.pop()}`);
+    }
+    
+    while (!this.save(`ghost_${seed}`, run)) {
+      if (seeds.length <= 1) {
+        seeds.length = 0;
+        this.save(GHOST_INDEX_KEY, seeds);
+        return false;
+      }
+      this.delete(`ghost_${seeds.pop()}`);
+    }
+    this.save(GHOST_INDEX_KEY, seeds);
+    return true;
+  }
+  
+  /**
+   * Load the best recorded run for a level seed
+   * @param {string} seed - Level seed
+   * @returns {Object|null} The encoded run or null if none was saved
+   */
+  loadGhostRun(seed) {
+    const run = this.load(`ghost_${seed}`, null);
+    if (run) {
+      this.save(GHOST_INDEX_KEY, this.touchGhostSeed(seed)); // Playing a seed keeps its ghost
+    }
+    return run;
+  }
+  
+  // Seeds with saved ghosts, most recently used first, with `seed` moved to the front
+  touchGhostSeed(seed) {
+    let seeds = this.load(GHOST_INDEX_KEY, null);
+    if (!Array.isArray(seeds)) {
+      // Ghosts saved before the index existed
+      seeds = this.keysStartingWith('ghost_').map(key => key.substring('ghost_'.length));
+    }
+    return [seed, ...seeds.filter(other => other !== seed)];
+  }
 }
 
 // Create a global instance for convenience
@@ -1,8 +1,12 @@
 import * as THREE from 'three';
+import { generateDescentLayout } from './descentLayout.js';
+import { generateSeed } from '../utils/random.js';
 
 export class Biome {
-  constructor(type) {
+  constructor(type, random = Math.random, layout = null) {
     this.type = type; // 'surface', 'underwater', 'cave', 'cosmic', 'descent'
+    this.random = random; // Swap in a seeded generator for reproducible scenery
+    this.layout = layout; // Platform layout from descentLayout.js (the descent builds its platforms from it)
     this.groundObjects = [];
     this.decorativeObjects = [];
     this.collisionObjects = [];
@@ -162,13 +166,13 @@ export class Biome {
     // Add some bioluminescent light sources
     for (let i = 0; i < 10; i++) {
       const color = new THREE.Color();
-      color.setHSL(0.5 + Math.random() * 0.2, 0.9, 0.7); // Blue-green hues
+      color.setHSL(0.5 + this.random() * 0.2, 0.9, 0.7); // Blue-green hues
       
       const light = new THREE.PointLight(color, 1, 20, 2);
       light.position.set(
-        (Math.random() - 0.5) * 100,
-        (Math.random() - 0.5) * 20 + 10,
-        (Math.random() - 0.5) * 100
+        (this.random() - 0.5) * 100,
+        (this.random() - 0.5) * 20 + 10,
+        (this.random() - 0.5) * 100
       );
       scene.add(light);
     }
@@ -229,13 +233,13 @@ export class Biome {
     
     for (let i = 0; i < 5; i++) {
       const color = new THREE.Color();
-      color.setHSL(Math.random(), 0.9, 0.7);
+      color.setHSL(this.random(), 0.9, 0.7);
       
       const cosmicLight = new THREE.PointLight(color, 2, 50, 1);
       cosmicLight.position.set(
-        (Math.random() - 0.5) * 100,
-        (Math.random() - 0.5) * 50 + 20,
-        (Math.random() - 0.5) * 100
+        (this.random() - 0.5) * 100,
+        (this.random() - 0.5) * 50 + 20,
+        (this.random() - 0.5) * 100
       );
       scene.add(cosmicLight);
     }
@@ -281,9 +285,9 @@ export class Biome {
     for (let i = 0; i < 20; i++) {
       const tree = this.createTree();
       tree.position.set(
-        (Math.random() - 0.5) * 200,
+        (this.random() - 0.5) * 200,
         0,
-        (Math.random() - 0.5) * 200
+        (this.random() - 0.5) * 200
       );
       scene.add(tree);
       this.decorativeObjects.push(tree);
@@ -297,9 +301,9 @@ export class Biome {
     for (let i = 0; i < 30; i++) {
       const rock = this.createRock();
       rock.position.set(
-        (Math.random() - 0.5) * 200,
+        (this.random() - 0.5) * 200,
         0,
-        (Math.random() - 0.5) * 200
+        (this.random() - 0.5) * 200
       );
       scene.add(rock);
       this.decorativeObjects.push(rock);
@@ -313,9 +317,9 @@ export class Biome {
     for (let i = 0; i < 30; i++) {
       const coral = this.createCoral();
       coral.position.set(
-        (Math.random() - 0.5) * 200,
+        (this.random() - 0.5) * 200,
         0,
-        (Math.random() - 0.5) * 200
+        (this.random() - 0.5) * 200
       );
       scene.add(coral);
       this.decorativeObjects.push(coral);
@@ -325,9 +329,9 @@ export class Biome {
     for (let i = 0; i < 40; i++) {
       const seaweed = this.createSeaweed();
       seaweed.position.set(
-        (Math.random() - 0.5) * 200,
+        (this.random() - 0.5) * 200,
         0,
-        (Math.random() - 0.5) * 200
+        (this.random() - 0.5) * 200
       );
       scene.add(seaweed);
       this.decorativeObjects.push(seaweed);
@@ -337,14 +341,14 @@ export class Biome {
     for (let i = 0; i < 20; i++) {
       const rock = this.createRock();
       rock.position.set(
-        (Math.random() - 0.5) * 200,
+        (this.random() - 0.5) * 200,
         0,
-        (Math.random() - 0.5) * 200
+        (this.random() - 0.5) * 200
       );
       rock.scale.set(
-        Math.random() * 2 + 1,
-        Math.random() * 2 + 1,
-        Math.random() * 2 + 1
+        this.random() * 2 + 1,
+        this.random() * 2 + 1,
+        this.random() * 2 + 1
       );
       scene.add(rock);
       this.decorativeObjects.push(rock);
@@ -357,9 +361,9 @@ export class Biome {
     for (let i = 0; i < 50; i++) {
       const stalactite = this.createStalactite();
       stalactite.position.set(
-        (Math.random() - 0.5) * 150,
-        20 + Math.random() * 10,
-        (Math.random() - 0.5) * 150
+        (this.random() - 0.5) * 150,
+        20 + this.random() * 10,
+        (this.random() - 0.5) * 150
       );
       scene.add(stalactite);
       this.decorativeObjects.push(stalactite);
@@ -369,9 +373,9 @@ export class Biome {
     for (let i = 0; i < 50; i++) {
       const stalagmite = this.createStalagmite();
       stalagmite.position.set(
-        (Math.random() - 0.5) * 150,
+        (this.random() - 0.5) * 150,
         0,
-        (Math.random() - 0.5) * 150
+        (this.random() - 0.5) * 150
       );
       scene.add(stalagmite);
       this.decorativeObjects.push(stalagmite);
@@ -381,9 +385,9 @@ export class Biome {
     for (let i = 0; i < 20; i++) {
       const rockFormation = this.createRockFormation();
       rockFormation.position.set(
-        (Math.random() - 0.5) * 150,
+        (this.random() - 0.5) * 150,
         0,
-        (Math.random() - 0.5) * 150
+        (this.random() - 0.5) * 150
       );
       scene.add(rockFormation);
       this.decorativeObjects.push(rockFormation);
@@ -395,9 +399,9 @@ export class Biome {
     for (let i = 0; i < 30; i++) {
       const crystal = this.createCosmicCrystal();
       crystal.position.set(
-        (Math.random() - 0.5) * 200,
-        (Math.random() - 0.5) * 100 + 50,
-        (Math.random() - 0.5) * 200
+        (this.random() - 0.5) * 200,
+        (this.random() - 0.5) * 100 + 50,
+        (this.random() - 0.5) * 200
       );
       scene.add(crystal);
       this.decorativeObjects.push(crystal);
@@ -407,9 +411,9 @@ export class Biome {
     for (let i = 0; i < 20; i++) {
       const shape = this.createAbstractShape();
       shape.position.set(
-        (Math.random() - 0.5) * 200,
-        (Math.random() - 0.5) * 100 + 50,
-        (Math.random() - 0.5) * 200
+        (this.random() - 0.5) * 200,
+        (this.random() - 0.5) * 100 + 50,
+        (this.random() - 0.5) * 200
       );
       scene.add(shape);
       this.decorativeObjects.push(shape);
@@ -443,16 +447,16 @@ export class Biome {
   
   createRock() {
     // Create a simple rock
-    const rockGeometry = new THREE.DodecahedronGeometry(Math.random() * 2 + 0.5, 0);
+    const rockGeometry = new THREE.DodecahedronGeometry(this.random() * 2 + 0.5, 0);
     const rockMaterial = new THREE.MeshStandardMaterial({ color: 0x888888 });
     const rock = new THREE.Mesh(rockGeometry, rockMaterial);
     rock.castShadow = true;
     rock.receiveShadow = true;
     
     // Random rotation
-    rock.rotation.x = Math.random() * Math.PI;
-    rock.rotation.y = Math.random() * Math.PI;
-    rock.rotation.z = Math.random() * Math.PI;
+    rock.rotation.x = this.random() * Math.PI;
+    rock.rotation.y = this.random() * Math.PI;
+    rock.rotation.z = this.random() * Math.PI;
     
     return rock;
   }
@@ -461,7 +465,7 @@ export class Biome {
     const coralGroup = new THREE.Group();
     
     // Random coral color
-    const hue = 0.8 + Math.random() * 0.2; // Reddish to purplish
+    const hue = 0.8 + this.random() * 0.2; // Reddish to purplish
     const color = new THREE.Color().setHSL(hue, 0.8, 0.5);
     
     // Base
@@ -472,7 +476,7 @@ export class Biome {
     coralGroup.add(base);
     
     // Branches
-    const branchCount = Math.floor(Math.random() * 5) + 3;
+    const branchCount = Math.floor(this.random() * 5) + 3;
     for (let i = 0; i < branchCount; i++) {
       const branchGeometry = new THREE.ConeGeometry(0.3, 2, 8);
       const branchMaterial = new THREE.MeshStandardMaterial({ color: color });
@@ -480,15 +484,15 @@ export class Biome {
       
       // Position branches around the base
       const angle = (i / branchCount) * Math.PI * 2;
-      const radius = 0.3 + Math.random() * 0.2;
+      const radius = 0.3 + this.random() * 0.2;
       branch.position.x = Math.cos(angle) * radius;
       branch.position.z = Math.sin(angle) * radius;
-      branch.position.y = 1 + Math.random() * 0.5;
+      branch.position.y = 1 + this.random() * 0.5;
       
       // Rotate branches outward
-      branch.rotation.x = Math.random() * 0.5 - 0.25;
+      branch.rotation.x = this.random() * 0.5 - 0.25;
       branch.rotation.y = angle;
-      branch.rotation.z = Math.PI / 2 - Math.random() * 0.3;
+      branch.rotation.z = Math.PI / 2 - this.random() * 0.3;
       
       branch.castShadow = true;
       coralGroup.add(branch);
@@ -501,9 +505,9 @@ export class Biome {
     const seaweedGroup = new THREE.Group();
     
     // Create several stalks
-    const stalkCount = Math.floor(Math.random() * 3) + 1;
+    const stalkCount = Math.floor(this.random() * 3) + 1;
     for (let i = 0; i < stalkCount; i++) {
-      const height = 3 + Math.random() * 5;
+      const height = 3 + this.random() * 5;
       const segmentCount = Math.floor(height * 1.5);
       
       let prevSegment = null;
@@ -515,17 +519,17 @@ export class Biome {
         if (!prevSegment) {
           // Position the first segment at the base
           segment.position.set(
-            (Math.random() - 0.5) * 0.5,
+            (this.random() - 0.5) * 0.5,
             height / segmentCount / 2,
-            (Math.random() - 0.5) * 0.5
+            (this.random() - 0.5) * 0.5
           );
           seaweedGroup.add(segment);
         } else {
           // Stack segments
           segment.position.y = height / segmentCount;
           // Add some randomness to the orientation
-          segment.rotation.x = (Math.random() - 0.5) * 0.2;
-          segment.rotation.z = (Math.random() - 0.5) * 0.2;
+          segment.rotation.x = (this.random() - 0.5) * 0.2;
+          segment.rotation.z = (this.random() - 0.5) * 0.2;
           prevSegment.add(segment);
         }
         
@@ -538,7 +542,7 @@ export class Biome {
   
   createStalactite() {
     // Hanging from ceiling
-    const height = 2 + Math.random() * 5;
+    const height = 2 + this.random() * 5;
     const geometry = new THREE.ConeGeometry(0.5, height, 8);
     const material = new THREE.MeshStandardMaterial({ color: 0x777777 });
     const stalactite = new THREE.Mesh(geometry, material);
@@ -550,7 +554,7 @@ export class Biome {
   
   createStalagmite() {
     // Rising from floor
-    const height = 1 + Math.random() * 3;
+    const height = 1 + this.random() * 3;
     const geometry = new THREE.ConeGeometry(0.5, height, 8);
     const material = new THREE.MeshStandardMaterial({ color: 0x777777 });
     const stalagmite = new THREE.Mesh(geometry, material);
@@ -563,22 +567,22 @@ export class Biome {
     const formationGroup = new THREE.Group();
     
     // Add several rocks in a cluster
-    const rockCount = Math.floor(Math.random() * 5) + 3;
+    const rockCount = Math.floor(this.random() * 5) + 3;
     for (let i = 0; i < rockCount; i++) {
-      const rockGeometry = new THREE.DodecahedronGeometry(Math.random() * 2 + 0.5, 0);
+      const rockGeometry = new THREE.DodecahedronGeometry(this.random() * 2 + 0.5, 0);
       const rockMaterial = new THREE.MeshStandardMaterial({ color: 0x777777 });
       const rock = new THREE.Mesh(rockGeometry, rockMaterial);
       
       rock.position.set(
-        (Math.random() - 0.5) * 3,
-        Math.random() * 2,
-        (Math.random() - 0.5) * 3
+        (this.random() - 0.5) * 3,
+        this.random() * 2,
+        (this.random() - 0.5) * 3
       );
       
       rock.rotation.set(
-        Math.random() * Math.PI,
-        Math.random() * Math.PI,
-        Math.random() * Math.PI
+        this.random() * Math.PI,
+        this.random() * Math.PI,
+        this.random() * Math.PI
       );
       
       rock.castShadow = true;
@@ -595,9 +599,9 @@ export class Biome {
       const crystalGroup = this.createCrystal();
       
       crystalGroup.position.set(
-        (Math.random() - 0.5) * 150,
-        Math.random() * 20,
-        (Math.random() - 0.5) * 150
+        (this.random() - 0.5) * 150,
+        this.random() * 20,
+        (this.random() - 0.5) * 150
       );
       
       scene.add(crystalGroup);
@@ -610,12 +614,12 @@ export class Biome {
     const crystalGroup = new THREE.Group();
     
     // Random crystal color
-    const hue = Math.random(); // Random color
+    const hue = this.random(); // Random color
     const color = new THREE.Color().setHSL(hue, 0.8, 0.5);
     const emissiveColor = new THREE.Color().setHSL(hue, 0.9, 0.3);
     
     // Crystal mesh
-    const geometry = new THREE.OctahedronGeometry(0.5 + Math.random() * 0.5, 0);
+    const geometry = new THREE.OctahedronGeometry(0.5 + this.random() * 0.5, 0);
     const material = new THREE.MeshStandardMaterial({
       color: color,
       emissive: emissiveColor,
@@ -640,9 +644,9 @@ export class Biome {
     for (let i = 0; i < 20; i++) {
       const platform = this.createCosmicPlatform();
       platform.position.set(
-        (Math.random() - 0.5) * 150,
-        (Math.random() - 0.5) * 100 + 50,
-        (Math.random() - 0.5) * 150
+        (this.random() - 0.5) * 150,
+        (this.random() - 0.5) * 100 + 50,
+        (this.random() - 0.5) * 150
       );
       scene.add(platform);
       this.groundObjects.push(platform); // Platforms are ground objects for player collision
@@ -651,11 +655,11 @@ export class Biome {
   
   createCosmicPlatform() {
     // Create abstract platform
-    const size = 10 + Math.random() * 15;
+    const size = 10 + this.random() * 15;
     let geometry;
     
     // Random platform shapes
-    const shapeType = Math.floor(Math.random() * 4);
+    const shapeType = Math.floor(this.random() * 4);
     switch (shapeType) {
       case 0:
         geometry = new THREE.CircleGeometry(size / 2, 8);
@@ -672,7 +676,7 @@ export class Biome {
     }
     
     // Random color with cosmic theme
-    const hue = Math.random();
+    const hue = this.random();
     const saturation = 0.7;
     const lightness = 0.5;
     const color = new THREE.Color().setHSL(hue, saturation, lightness);
@@ -696,11 +700,11 @@ export class Biome {
     const crystalGroup = new THREE.Group();
     
     // Random crystal color with cosmic theme
-    const hue = Math.random();
+    const hue = this.random();
     const color = new THREE.Color().setHSL(hue, 0.9, 0.7);
     
     // Create crystal
-    const geometry = new THREE.TetrahedronGeometry(1 + Math.random() * 2, 0);
+    const geometry = new THREE.TetrahedronGeometry(1 + this.random() * 2, 0);
     const material = new THREE.MeshStandardMaterial({
       color: color,
       emissive: color,
@@ -719,9 +723,9 @@ export class Biome {
     
     // Slow rotation animation
     const rotationSpeed = {
-      x: (Math.random() - 0.5) * 0.01,
-      y: (Math.random() - 0.5) * 0.01,
-      z: (Math.random() - 0.5) * 0.01
+      x: (this.random() - 0.5) * 0.01,
+      y: (this.random() - 0.5) * 0.01,
+      z: (this.random() - 0.5) * 0.01
     };
     
     crystal.userData.rotate = true;
@@ -734,7 +738,7 @@ export class Biome {
     const shapeGroup = new THREE.Group();
     
     // Random shape type
-    const shapeType = Math.random() * 6;
+    const shapeType = this.random() * 6;
     let geometry;
     
     switch (shapeType) {
@@ -759,7 +763,7 @@ export class Biome {
     }
     
     // Cosmic material
-    const hue = Math.random();
+    const hue = this.random();
     const color = new THREE.Color().setHSL(hue, 0.9, 0.7);
     
     const material = new THREE.MeshStandardMaterial({
@@ -768,7 +772,7 @@ export class Biome {
       emissiveIntensity: 0.3,
       transparent: true,
       opacity: 0.7,
-      wireframe: Math.random() > 0.7 // Sometimes make wireframe
+      wireframe: this.random() > 0.7 // Sometimes make wireframe
     });
     
     const shape = new THREE.Mesh(geometry, material);
@@ -845,30 +849,15 @@ export class Biome {
     scene.add(ambientLight);
     console.log("[Biome] Lighting added.");
 
-    // Generate floating platforms
-    const platformCount = 30;
-    const startY = 145; // <<< Restored original Y >>>
-    const endY = 10;   
-    const horizontalRange = 25;
-    const playerStartY = 150; // <<< Restored original Y >>>
-
-    let currentY = startY;
-    let lastPlatformPos = new THREE.Vector3(0, playerStartY, 0); 
+    // Build the floating platforms from the layout (positions are centers)
+    const layout = this.layout || generateDescentLayout(generateSeed());
     let firstPlatform = null; // Variable to store the first platform
     const platforms = []; // Array to store platform meshes
 
-    for (let i = 0; i < platformCount; i++) {
+    layout.platforms.forEach(({ x, y, z, sizeX: platformSizeX, sizeZ: platformSizeZ, height: platformHeight }, i) => {
       let platform;
-      let nextPos;
-      let platformHeight = 1; 
-      let platformSizeX = 0, platformSizeZ = 0; // <<< Keep track of platform size >>>
-      
       if (i === 0) {
         // <<< CREATE Specific First Platform >>>
-        const firstPlatformSize = 20;
-        platformHeight = 1;
-        platformSizeX = firstPlatformSize;
-        platformSizeZ = firstPlatformSize;
         const firstPlatformGeometry = new THREE.BoxGeometry(platformSizeX, platformHeight, platformSizeZ);
         const firstPlatformMaterial = new THREE.MeshStandardMaterial({
           color: 0x778899, 
@@ -880,59 +869,12 @@ export class Biome {
         platform = new THREE.Mesh(firstPlatformGeometry, firstPlatformMaterial);
         platform.castShadow = true;
         platform.receiveShadow = true;
-        nextPos = new THREE.Vector3(0, startY, 0); // Center the first platform below player start
         firstPlatform = platform; // Assign to firstPlatform variable
       } else {
-        // <<< GENERATE Random Subsequent Platforms >>>
-        // <<< Assign size variables inside createFloatingPlatform call context >>>
-        const sizeX = Math.random() * 4 + 4;
-        const sizeZ = Math.random() * 4 + 4;
-        platformHeight = 0.5 + Math.random() * 0.5;
-        platform = this.createFloatingPlatform(sizeX, sizeZ, platformHeight); 
-        platformSizeX = sizeX;
-        platformSizeZ = sizeZ;
-        
-        // Position platforms progressively lower and randomly horizontally
-        const progress = i / (platformCount - 1); 
-        const averageYDrop = (startY - endY) / (platformCount - 1);
-        const yDrop = averageYDrop * (1 + progress * 0.5) * (1 + (Math.random() - 0.5) * 0.4); 
-        currentY -= yDrop;
-        
-        // <<< ADD: Clamp minimum Y position >>>
-        const minPlatformY = 5; // Minimum height above the final Y=0 platform
-        currentY = Math.max(minPlatformY, currentY);
-        
-        let x = (Math.random() - 0.5) * horizontalRange * 2;
-        let z = (Math.random() - 0.5) * horizontalRange * 2;
-
-        // <<< ADD: Force offset for the second platform (i=1) >>>
-        if (i === 1) {
-            const minOffset = 8; // Minimum horizontal distance from center (0,0)
-            let attempts = 0;
-            // Keep generating random x, z until they are far enough from the center
-            while (Math.sqrt(x*x + z*z) < minOffset && attempts < 10) {
-                 x = (Math.random() - 0.5) * horizontalRange * 2;
-                 z = (Math.random() - 0.5) * horizontalRange * 2;
-                 attempts++;
-            }
-            console.log(`[Biome] Second platform (i=1) positioned at ${x.toFixed(1)}, ${currentY.toFixed(1)}, ${z.toFixed(1)}`);
-        }
-        
-        nextPos = new THREE.Vector3(x, currentY, z);
-        
-        // Ensure subsequent platforms aren't *too* far horizontally from the *previous* one
-        const horizontalDist = new THREE.Vector2(nextPos.x - lastPlatformPos.x, nextPos.z - lastPlatformPos.z).length();
-        // <<< MODIFY: Allow slightly larger horizontal jumps lower down >>>
-        const maxHorizontalDist = 18 + progress * 4; // Max dist increases from 18 to 22
-        if (horizontalDist > maxHorizontalDist) { 
-           const dir = new THREE.Vector2(nextPos.x - lastPlatformPos.x, nextPos.z - lastPlatformPos.z).normalize().multiplyScalar((maxHorizontalDist - 3) + Math.random() * 3); // Target near max distance
-           nextPos.x = lastPlatformPos.x + dir.x;
-           nextPos.z = lastPlatformPos.z + dir.y; 
-        }
+        platform = this.createFloatingPlatform(platformSizeX, platformSizeZ, platformHeight); 
       }
 
-      platform.position.set(nextPos.x, nextPos.y, nextPos.z);
-      lastPlatformPos.copy(nextPos);
+      platform.position.set(x, y, z);
       
       platforms.push(platform);
 
@@ -941,8 +883,8 @@ export class Biome {
       this.collisionObjects.push(platform); 
 
       // <<< ADD Obstacles >>>
-      if (i > 0 && Math.random() < 0.4) { // Add obstacles to ~40% of platforms (not the first)
-          const obstacleType = Math.random();
+      if (i > 0 && this.random() < 0.4) { // Add obstacles to ~40% of platforms (not the first)
+          const obstacleType = this.random();
           let obstacle;
           if (obstacleType < 0.5) { // Add a rock
               obstacle = this.createRock();
@@ -958,9 +900,9 @@ export class Biome {
           const halfWidth = platformSizeX / 2 * 0.8; // 80% of half-width
           const halfDepth = platformSizeZ / 2 * 0.8; // 80% of half-depth
           obstacle.position.set(
-              platform.position.x + (Math.random() - 0.5) * halfWidth,
+              platform.position.x + (this.random() - 0.5) * halfWidth,
               platform.position.y + platformHeight / 2, // Place on top surface
-              platform.position.z + (Math.random() - 0.5) * halfDepth
+              platform.position.z + (this.random() - 0.5) * halfDepth
           );
           scene.add(obstacle);
           this.decorativeObjects.push(obstacle);
@@ -972,8 +914,8 @@ export class Biome {
               }
           });
       }
-    }
-    console.log(`[Biome] Generated ${platformCount} platforms.`);
+    });
+    console.log(`[Biome] Generated ${platforms.length} platforms.`);
 
     // Final ground plane at the bottom
     const finalGround = this.createGround(scene, new THREE.Color(0x334455), 100, false);
@@ -988,7 +930,7 @@ export class Biome {
   createFloatingPlatform(sizeX, sizeZ, platformHeight) {
     const platformGeometry = new THREE.BoxGeometry(sizeX, platformHeight, sizeZ);
     const platformMaterial = new THREE.MeshStandardMaterial({
-      color: new THREE.Color().setHSL(0.3, 0.4 + Math.random() * 0.2, 0.3 + Math.random() * 0.15), // Varying shades of green
+      color: new THREE.Color().setHSL(0.3, 0.4 + this.random() * 0.2, 0.3 + this.random() * 0.15), // Varying shades of green
       roughness: 0.9, // Make it look less shiny, more earthy
       metalness: 0.0
     });
@@ -0,0 +1,100 @@
+import { createSeededRandom } from '../utils/random.js';
+
+// Shape of the descent: 30 platforms from the start platform down towards the ground
+const PLATFORM_COUNT = 30;
+const START_Y = 145;
+const END_Y = 10;
+const MIN_PLATFORM_Y = 5; // Minimum height above the final Y=0 ground
+const HORIZONTAL_RANGE = 25;
+const PLAYER_START_Y = 150;
+const FIRST_PLATFORM_SIZE = 20;
+const SECOND_PLATFORM_MIN_OFFSET = 8; // Keeps the second platform out from under the first
+
+const ITEM_HEIGHT = 1.5; // Items float this far above a platform's top surface
+const ARTIFACTS = [
+  { id: 'surface_artifact_1', effect: 'oxygen_efficiency' },
+  { id: 'surface_artifact_2', effect: 'night_vision' },
+  { id: 'underwater_artifact_1', effect: 'telekinesis' },
+  { id: 'underwater_artifact_2', effect: 'oxygen_efficiency' }
+];
+const MEMORY_IDS = ['surface_memory_1', 'surface_memory_2', 'underwater_memory_1', 'underwater_memory_2'];
+const HEALTH_IDS = ['health_1', 'health_2'];
+
+/**
+ * The gameplay-relevant part of a descent level, without THREE: where the platforms are and
+ * where each item sits. Shared by LevelManager (which builds meshes from it) and the game server
+ * (which checks pickups against it), so both agree on every seed.
+ * @param {string} seed - Level seed
+ * @param {number} [levelIndex=0] - Level the layout is for
+ * @returns {{platforms: Array<Object>, collectibles: Array<Object>}} Platforms as
+ *   { x, y, z, sizeX, sizeZ, height } (centers), collectibles as { id, type, effect, position: [x, y, z] }
+ */
+export function generateDescentLayout(seed, levelIndex = 0) {
+  const platforms = generatePlatforms(createSeededRandom(`${seed}:${levelIndex}`));
+  const collectibles = placeCollectibles(platforms, createSeededRandom(`${seed}:${levelIndex}:collectibles`));
+  return { platforms, collectibles };
+}
+
+function generatePlatforms(random) {
+  const platforms = [{ x: 0, y: START_Y, z: 0, sizeX: FIRST_PLATFORM_SIZE, sizeZ: FIRST_PLATFORM_SIZE, height: 1 }];
+  let currentY = START_Y;
+  let last = { x: 0, z: 0 }; // Player start, above the first platform
+
+  for (let i = 1; i < PLATFORM_COUNT; i++) {
+    const sizeX = random() * 4 + 4;
+    const sizeZ = random() * 4 + 4;
+    const height = 0.5 + random() * 0.5;
+
+    // Progressively lower, with bigger drops further down
+    const progress = i / (PLATFORM_COUNT - 1);
+    const averageYDrop = (START_Y - END_Y) / (PLATFORM_COUNT - 1);
+    currentY -= averageYDrop * (1 + progress * 0.5) * (1 + (random() - 0.5) * 0.4);
+    currentY = Math.max(MIN_PLATFORM_Y, currentY);
+
+    let x = (random() - 0.5) * HORIZONTAL_RANGE * 2;
+    let z = (random() - 0.5) * HORIZONTAL_RANGE * 2;
+    if (i === 1) {
+      for (let attempts = 0; Math.hypot(x, z) < SECOND_PLATFORM_MIN_OFFSET && attempts < 10; attempts++) {
+        x = (random() - 0.5) * HORIZONTAL_RANGE * 2;
+        z = (random() - 0.5) * HORIZONTAL_RANGE * 2;
+      }
+    }
+
+    // Keep each jump within reach of the previous platform (a little further lower down)
+    const maxHorizontalDist = 18 + progress * 4;
+    const horizontalDist = Math.hypot(x - last.x, z - last.z);
+    if (horizontalDist > maxHorizontalDist) {
+      const length = (maxHorizontalDist - 3) + random() * 3; // Near the max distance
+      x = last.x + (x - last.x) / horizontalDist * length;
+      z = last.z + (z - last.z) / horizontalDist * length;
+    }
+
+    platforms.push({ x, y: currentY, z, sizeX, sizeZ, height });
+    last = { x, z };
+  }
+  return platforms;
+}
+
+// One item per platform, on a shuffled selection that leaves out the start platform
+function placeCollectibles(platforms, random) {
+  const items = [
+    ...ARTIFACTS.map(({ id, effect }) => ({ id, type: 'artifact', effect })),
+    ...MEMORY_IDS.map(id => ({ id, type: 'memory', effect: null })),
+    ...HEALTH_IDS.map(id => ({ id, type: 'health', effect: null }))
+  ];
+  const eligible = platforms.slice(1);
+  if (eligible.length < items.length) {
+    console.warn(`Not enough platforms to place all collectibles (need ${items.length}, found ${eligible.length})`);
+  }
+
+  // Fisher-Yates
+  for (let i = eligible.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [eligible[i], eligible[j]] = [eligible[j], eligible[i]];
+  }
+
+  return items.slice(0, eligible.length).map((item, i) => {
+    const platform = eligible[i];
+    return { ...item, position: [platform.x, platform.y + platform.height / 2 + ITEM_HEIGHT, platform.z] };
+  });
+}
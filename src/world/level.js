@@ -2,14 +2,9 @@ import * as THREE from 'three';
 import { createCollectible } from '../entities/collectible.js';
 import { NPC } from '../entities/npc.js';
 import { Biome } from './biome.js';
-
-// Helper function to shuffle an array (Fisher-Yates algorithm)
-function shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [array[i], array[j]] = [array[j], array[i]];
-    }
-}
+import { SpatialGrid } from './spatialGrid.js';
+import { generateDescentLayout } from './descentLayout.js';
+import { createSeededRandom, generateSeed } from '../utils/random.js';
 
 export class LevelManager {
   constructor() {
@@ -21,8 +16,13 @@ export class LevelManager {
     this.movableObjects = [];
     this.collisionObjects = [];
     this.groundObjects = []; // Store ground objects for ground check
+    this.collisionGrid = new SpatialGrid(); // Broadphase over collisionObjects, rebuilt per load
+    this.groundGrid = new SpatialGrid();    // Broadphase over groundObjects
     this.firstPlatform = null; // Store reference to the first platform
     this.generatedPlatforms = []; // Store generated platforms
+    this.currentSeed = null; // Seed the current layout was generated from
+    this.layout = null; // Platforms and item placements for the current seed (see descentLayout.js)
+    this.random = Math.random; // Seeded generator for the current level's scenery
     
     // Define the different levels/biomes in the game
     this.defineLevels();
@@ -42,7 +42,15 @@ export class LevelManager {
     });
   }
   
-  async loadLevel(levelIndex) {
+  /**
+   * Load a level, generating its layout from a seed
+   * @param {number} levelIndex - Level to load
+   * @param {Object} [options]
+   * @param {string} [options.seed] - Layout seed; the same seed reproduces the same platforms,
+   *   obstacles and collectible placements. A random one is picked if omitted.
+   * @returns {Promise<boolean>} Whether the level loaded
+   */
+  async loadLevel(levelIndex, { seed } = {}) {
     if (levelIndex !== 0) {
       console.warn(`Attempting to load non-existent level: ${levelIndex}. Loading level 0 instead.`);
       levelIndex = 0; 
@@ -61,18 +69,29 @@ export class LevelManager {
     // Create new scene
     this.scene = new THREE.Scene();
     
+    // Platforms and items come from the shared layout (the server checks pickups against it);
+    // scenery such as colors and obstacles has its own seeded stream
+    this.currentSeed = seed != null ? String(seed) : generateSeed();
+    this.layout = generateDescentLayout(this.currentSeed, levelIndex);
+    this.random = createSeededRandom(`${this.currentSeed}:${levelIndex}:scenery`);
+    
     // Create the environment based on level type
-    const biome = new Biome(this.currentLevel.environmentType);
+    const biome = new Biome(this.currentLevel.environmentType, this.random, this.layout);
     const environmentData = biome.createEnvironment(this.scene);
     this.collisionObjects = environmentData.collisionObjects || [];
     this.groundObjects = environmentData.groundObjects || []; // Store ground objects for ground check
     this.firstPlatform = environmentData.firstPlatform || null; // Store first platform
     this.generatedPlatforms = environmentData.platforms || []; // Store generated platforms
     
+    // Level geometry is static, so index it once at its final world positions
+    this.scene.updateMatrixWorld(true);
+    this.collisionGrid.build(this.collisionObjects);
+    this.groundGrid.build(this.groundObjects);
+    
     // Add collectibles specific to this level
     this.addLevelCollectibles(levelIndex);
     
-    console.log(`Loaded level: ${this.currentLevel.name}`);
+    console.log(`Loaded level: ${this.currentLevel.name} (seed: ${this.currentSeed})`);
     return true;
   }
   
@@ -82,7 +101,10 @@ export class LevelManager {
     this.movableObjects = [];
     this.collisionObjects = [];
     this.groundObjects = [];
+    this.collisionGrid.build([]);
+    this.groundGrid.build([]);
     this.npcs = [];
+    this.layout = null;
     this.firstPlatform = null; // Reset first platform
     this.generatedPlatforms = []; // Reset generated platforms
     
@@ -90,64 +112,16 @@ export class LevelManager {
   }
   
   addLevelCollectibles(levelIndex) {
-    const requiredPlatformCount = 10; // 4 artifacts + 4 memories + 2 health
-    if (levelIndex !== 0 || this.generatedPlatforms.length < requiredPlatformCount + 1) { // +1 for the start platform
-        console.warn(`Cannot add collectibles: Not on descent level or not enough platforms generated (need ${requiredPlatformCount + 1}). Found: ${this.generatedPlatforms.length}`);
+    if (levelIndex !== 0 || !this.layout) {
+        console.warn(`Cannot add collectibles: not on the descent level.`);
         return;
     }
 
-    // Exclude the first platform from collectible placement
-    const eligiblePlatforms = this.generatedPlatforms.slice(1);
-    if (eligiblePlatforms.length < requiredPlatformCount) {
-        console.warn(`Not enough eligible platforms (excluding the first) to place all collectibles (need ${requiredPlatformCount}). Found: ${eligiblePlatforms.length}`);
-        return; // Or adjust logic to place fewer items
-    }
-
-    shuffleArray(eligiblePlatforms); // Randomize platform order
-
-    const artifactIds = ['surface_artifact_1', 'surface_artifact_2', 'underwater_artifact_1', 'underwater_artifact_2'];
-    const artifactEffects = ['oxygen_efficiency', 'night_vision', 'telekinesis', 'oxygen_efficiency']; // Match IDs
-    const memoryIds = ['surface_memory_1', 'surface_memory_2', 'underwater_memory_1', 'underwater_memory_2'];
-    const healthPickupIds = ['health_1', 'health_2']; // <<< ADD: IDs for health pickups
-    
-    let platformIndex = 0;
-
-    // Place Artifacts
-    console.log(`Placing ${artifactIds.length} artifacts...`);
-    for (let i = 0; i < artifactIds.length; i++) {
-        if (platformIndex >= eligiblePlatforms.length) break; // Safety check
-        const platform = eligiblePlatforms[platformIndex++];
-        const platformPos = platform.position.clone();
-        const platformHeight = platform.geometry.parameters.height || 0.5;
-        const collectiblePos = platformPos.add(new THREE.Vector3(0, platformHeight / 2 + 1.5, 0)); // Place 1.5 units above platform center
-        this.addCollectible(collectiblePos, 'artifact', artifactIds[i], artifactEffects[i]);
-        console.log(` - Added ${artifactIds[i]} at`, collectiblePos);
-    }
-
-    // Place Memories
-    console.log(`Placing ${memoryIds.length} memories...`);
-    for (let i = 0; i < memoryIds.length; i++) {
-        if (platformIndex >= eligiblePlatforms.length) break; // Safety check
-        const platform = eligiblePlatforms[platformIndex++];
-        const platformPos = platform.position.clone();
-        const platformHeight = platform.geometry.parameters.height || 0.5;
-        const collectiblePos = platformPos.add(new THREE.Vector3(0, platformHeight / 2 + 1.5, 0)); // Place 1.5 units above platform center
-        this.addCollectible(collectiblePos, 'memory', memoryIds[i]);
-        console.log(` - Added ${memoryIds[i]} at`, collectiblePos);
-    }
-
-    // <<< ADD: Place Health Pickups >>>
-    console.log(`Placing ${healthPickupIds.length} health pickups...`);
-    for (let i = 0; i < healthPickupIds.length; i++) {
-        if (platformIndex >= eligiblePlatforms.length) break; // Safety check
-        const platform = eligiblePlatforms[platformIndex++];
-        const platformPos = platform.position.clone();
-        const platformHeight = platform.geometry.parameters.height || 0.5;
-        const collectiblePos = platformPos.add(new THREE.Vector3(0, platformHeight / 2 + 1.5, 0)); // Place 1.5 units above platform center
-        // Call addCollectible with type 'health'
-        this.addCollectible(collectiblePos, 'health', healthPickupIds[i]); 
-        console.log(` - Added ${healthPickupIds[i]} at`, collectiblePos);
-    }
+    this.layout.collectibles.forEach(({ id, type, effect, position }) => {
+        const collectiblePos = new THREE.Vector3(...position);
+        this.addCollectible(collectiblePos, type, id, effect);
+        console.log(` - Added ${id} at`, collectiblePos);
+    });
   }
   
   addCollectible(position, type, id, effectType = null) {
@@ -208,40 +182,22 @@ export class LevelManager {
     return this.currentLevel.entries[entryPointName].clone();
   }
   
-  checkCollisions(playerHitbox) {
-    const collisions = [];
-    
-    // Check collisions with static level geometry
-    this.collisionObjects.forEach(object => {
-      const objectHitbox = new THREE.Box3().setFromObject(object);
-      if (playerHitbox.intersectsBox(objectHitbox)) {
-        // Calculate collision response
-        const playerCenter = new THREE.Vector3();
-        const objectCenter = new THREE.Vector3();
-        playerHitbox.getCenter(playerCenter);
-        objectHitbox.getCenter(objectCenter);
-        
-        // Direction from object to player
-        const normal = new THREE.Vector3().subVectors(playerCenter, objectCenter).normalize();
-        
-        // Calculate penetration depth (approximate)
-        const playerSize = new THREE.Vector3();
-        const objectSize = new THREE.Vector3();
-        playerHitbox.getSize(playerSize);
-        objectHitbox.getSize(objectSize);
-        const minDistance = (playerSize.length() + objectSize.length()) * 0.5;
-        const actualDistance = playerCenter.distanceTo(objectCenter);
-        const depth = minDistance - actualDistance;
-        
-        collisions.push({
-          object,
-          normal,
-          depth
-        });
-      }
-    });
-    
-    return collisions;
+  /**
+   * Static collision geometry overlapping a box, from the broadphase grid
+   * @param {THREE.Box3} box - Query bounds
+   * @returns {Array<{object: THREE.Object3D, box: THREE.Box3}>} Objects with their world bounds
+   */
+  getNearbyCollisionObjects(box) {
+    return this.collisionGrid.queryBox(box);
+  }
+  
+  /**
+   * Ground objects overlapping a box, for ground raycasts
+   * @param {THREE.Box3} box - Query bounds (e.g. the span of the ground ray)
+   * @returns {Array<THREE.Object3D>} Candidate ground objects
+   */
+  getNearbyGroundObjects(box) {
+    return this.groundGrid.queryBox(box).map(entry => entry.object);
   }
   
   getCollectiblesInRadius(position, radius) {
@@ -273,6 +229,7 @@ export class LevelManager {
   resetCollectibles() {
     console.log("Resetting collectibles...");
     this.collectibles.forEach(collectible => {
+        collectible.bobTime = 0; // Every attempt sees the same bob phase
         if (collectible.collected) {
             collectible.collected = false;
             // Re-create mesh if it was removed (or reset its state)
@@ -0,0 +1,100 @@
+import * as THREE from 'three';
+
+/**
+ * Uniform grid over static level geometry. Built once per level load so collision and
+ * ground queries only test the objects in the cells around the player.
+ */
+export class SpatialGrid {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.cellSize=10] - Edge length of a cell in world units
+   * @param {number} [options.maxCellsPerObject=64] - Objects spanning more cells than this (floors,
+   *   walls) go in a list every query checks, rather than being copied into hundreds of cells
+   */
+  constructor({ cellSize = 10, maxCellsPerObject = 64 } = {}) {
+    this.cellSize = cellSize;
+    this.maxCellsPerObject = maxCellsPerObject;
+    this.cells = new Map(); // "x,y,z" -> entries
+    this.largeEntries = [];
+    this.entryCount = 0;
+    this.queryId = 0; // Stamped on entries so one found in several cells is only returned once
+  }
+
+  /**
+   * Index objects at their current world transforms, replacing anything indexed before
+   * @param {Array<THREE.Object3D>} objects - Static objects; world matrices must be up to date
+   * @returns {SpatialGrid} this
+   */
+  build(objects) {
+    this.cells.clear();
+    this.largeEntries = [];
+    this.entryCount = 0;
+    objects.forEach(object => this.insert(object));
+    return this;
+  }
+
+  insert(object) {
+    if (!object) return;
+    const box = new THREE.Box3().setFromObject(object);
+    if (box.isEmpty()) return;
+
+    // index keeps query results in insertion order, so collision resolution order doesn't change
+    const entry = { object, box, index: this.entryCount++, queryId: 0 };
+    const min = this.toCell(box.min);
+    const max = this.toCell(box.max);
+    const cellCount = (max.x - min.x + 1) * (max.y - min.y + 1) * (max.z - min.z + 1);
+    if (cellCount > this.maxCellsPerObject) {
+      this.largeEntries.push(entry);
+      return;
+    }
+
+    this.forEachCell(min, max, key => {
+      let cell = this.cells.get(key);
+      if (!cell) {
+        cell = [];
+        this.cells.set(key, cell);
+      }
+      cell.push(entry);
+    });
+  }
+
+  /**
+   * Find indexed objects whose bounds overlap a box
+   * @param {THREE.Box3} box - Query bounds
+   * @returns {Array<{object: THREE.Object3D, box: THREE.Box3}>} Matches with their cached world bounds
+   */
+  queryBox(box) {
+    const queryId = ++this.queryId;
+    const results = [];
+    const visit = entry => {
+      if (entry.queryId === queryId) return;
+      entry.queryId = queryId;
+      if (entry.box.intersectsBox(box)) results.push(entry);
+    };
+
+    this.largeEntries.forEach(visit);
+    this.forEachCell(this.toCell(box.min), this.toCell(box.max), key => {
+      this.cells.get(key)?.forEach(visit);
+    });
+
+    return results.sort((a, b) => a.index - b.index);
+  }
+
+  toCell(point) {
+    return {
+      x: Math.floor(point.x / this.cellSize),
+      y: Math.floor(point.y / this.cellSize),
+      z: Math.floor(point.z / this.cellSize)
+    };
+  }
+
+  forEachCell(min, max, callback) {
+    for (let x = min.x; x <= max.x; x++) {
+      for (let y = min.y; y <= max.y; y++) {
+        for (let z = min.z; z <= max.z; z++) {
+          callback(`${x},${y},${z}`);
+        }
+      }
+    }
+  }
+}
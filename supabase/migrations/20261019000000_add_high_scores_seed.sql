@@ -0,0 +1,6 @@
+-- Level seed each score was set on, for the per-layout leaderboard ("This Layout" tab).
+-- Scores saved before seeds existed keep a null seed and only appear on the other boards.
+alter table high_scores add column if not exists seed text;
+
+-- The per-seed board filters on seed and orders by score
+create index if not exists high_scores_seed_score_idx on high_scores (seed, score desc);